@@ -78,6 +78,14 @@ run_single_test() {
         fi
     fi
 
+    if $test_passed; then
+        print_status "Running tests for PR #$pr_number..."
+        if ! npm test; then
+            print_error "Tests failed for PR #$pr_number."
+            test_passed=false
+        fi
+    fi
+
     if $test_passed; then
         print_status "Running build for PR #$pr_number..."
         if ! npm run build; then
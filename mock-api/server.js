@@ -0,0 +1,325 @@
+/* eslint-env node */
+// Local stand-in for the OpenAI threads, runs, steps, messages, assistants and responses endpoints, serving
+// recorded API objects from ./fixtures. Point the viewer's base URL setting at it to work offline:
+//
+//   npm run mock-api            # http://localhost:4010/v1
+//   npm run mock-api -- 5000    # another port
+//
+// List endpoints are paginated with a deliberately small page size so the has_more/after
+// cursor handling is always exercised. Any API key is accepted, but one must be sent.
+//
+// Messages can be added to a thread, runs created with `stream: true` replay the recorded
+// events of their assistant, and runs waiting in requires_action take tool outputs. What they
+// change is kept in memory until the server stops.
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+export const DEFAULT_PAGE_SIZE = 2;
+
+// Merge every fixture file in `dir`. A file holds one thread, Responses API responses, or both:
+// { thread_id, runs, steps: { run_id: [...] }, messages, assistants, responses, input_items: { response_id: [...] }, failures, streams }
+// `failures` maps a request path (without /v1 or query) to { status, message, after }; when
+// `after` is given the failure only applies to the page requested with that cursor.
+// `streams` maps an assistant ID to the events a streamed run of it sends on the thread, as
+// [{ event, data, delay_ms }] with `delay_ms` waited before the event.
+// `resumes` maps the ID of a run in requires_action to what happens once its tool outputs are
+// submitted, as { submitted_at, delay_ms, run, steps, messages }: the outputs are written into
+// the waiting step, which completes at `submitted_at`, and the run goes back to in_progress.
+// `delay_ms` later the fields in `run` are applied and `steps` and `messages` are added.
+// Outputs submitted with `stream: true` are answered with events instead: the run going back
+// to in_progress, the waiting step completing, then the resume's `stream`, like `streams`.
+export const loadFixtures = (dir = FIXTURES_DIR) => {
+  const fixtures = { threads: new Map(), assistants: new Map(), responses: new Map(), inputItems: new Map(), failures: new Map() };
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const thread = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (thread.thread_id) fixtures.threads.set(thread.thread_id, thread);
+      (thread.assistants || []).forEach(assistant => fixtures.assistants.set(assistant.id, assistant));
+      (thread.responses || []).forEach(response => fixtures.responses.set(response.id, response));
+      Object.entries(thread.input_items || {}).forEach(([responseId, items]) => fixtures.inputItems.set(responseId, items));
+      Object.entries(thread.failures || {}).forEach(([failurePath, failure]) => fixtures.failures.set(failurePath, failure));
+    });
+  return fixtures;
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Error bodies follow the API's { error: { message, type, ... } } shape
+const sendError = (res, status, message, type = 'invalid_request_error') =>
+  sendJson(res, status, { error: { message, type, param: null, code: null } });
+
+// Cursor pagination as the API does it: `limit`, `order` and `after` in, has_more/last_id out.
+// Fixtures are stored oldest first; the API lists newest first unless asked for order=asc.
+const paginate = (items, query, pageSize) => {
+  const ordered = query.get('order') === 'asc' ? items : [...items].reverse();
+  const limit = Math.min(parseInt(query.get('limit'), 10) || 20, pageSize);
+  const after = query.get('after');
+  const start = after ? ordered.findIndex(item => item.id === after) + 1 : 0;
+  const data = ordered.slice(start, start + limit);
+  return {
+    object: 'list',
+    data,
+    first_id: data.length > 0 ? data[0].id : null,
+    last_id: data.length > 0 ? data[data.length - 1].id : null,
+    has_more: start + limit < ordered.length
+  };
+};
+
+// Read a request body as JSON; an empty body reads as {}
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let text = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { text += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(text ? JSON.parse(text) : {});
+    } catch (e) {
+      reject(e);
+    }
+  });
+  req.on('error', reject);
+});
+
+// Add `item` to `items`, replacing an earlier version with the same ID
+const upsert = (items, item) => {
+  const index = items.findIndex(existing => existing.id === item.id);
+  if (index === -1) items.push(item);
+  else items[index] = item;
+};
+
+// Keep a run, step or message on its thread, e.g. one carried by a streamed event, so it can be
+// fetched afterwards
+const recordObject = (thread, data) => {
+  if (!data || typeof data !== 'object') return;
+  if (data.object === 'thread.run') {
+    thread.runs = thread.runs || [];
+    upsert(thread.runs, data);
+  } else if (data.object === 'thread.run.step') {
+    thread.steps = thread.steps || {};
+    thread.steps[data.run_id] = thread.steps[data.run_id] || [];
+    upsert(thread.steps[data.run_id], data);
+  } else if (data.object === 'thread.message') {
+    thread.messages = thread.messages || [];
+    upsert(thread.messages, data);
+  }
+};
+
+// Write `events` as server-sent events, each after its delay, until they run out or the client
+// goes away. Run objects get the overrides the run was created with.
+const sendEventStream = (res, thread, events, overrides) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  let index = 0;
+  const next = () => {
+    if (index >= events.length || res.destroyed) {
+      res.end();
+      return;
+    }
+    const { event, data, delay_ms: delay = 0 } = events[index++];
+    setTimeout(() => {
+      const sent = data && data.object === 'thread.run' ? { ...data, ...overrides } : data;
+      recordObject(thread, sent);
+      res.write(`event: ${event}\ndata: ${typeof sent === 'string' ? sent : JSON.stringify(sent)}\n\n`);
+      next();
+    }, delay);
+  };
+  next();
+};
+
+const route = (fixtures, pathname, query, pageSize) => {
+  const failure = fixtures.failures.get(pathname);
+  if (failure && (!failure.after || failure.after === query.get('after'))) {
+    return { status: failure.status, error: failure.message };
+  }
+  
+  const parts = pathname.split('/').filter(Boolean);
+  if (parts[0] === 'assistants' && parts.length === 2) {
+    const assistant = fixtures.assistants.get(parts[1]);
+    return assistant ? { body: assistant } : { status: 404, error: `No assistant found with id '${parts[1]}'.` };
+  }
+  if (parts[0] === 'responses' && (parts.length === 2 || (parts.length === 3 && parts[2] === 'input_items'))) {
+    const response = fixtures.responses.get(parts[1]);
+    if (!response) return { status: 404, error: `Response with id '${parts[1]}' not found.` };
+    return parts.length === 2
+      ? { body: response }
+      : { body: paginate(fixtures.inputItems.get(parts[1]) || [], query, pageSize) };
+  }
+  if (parts[0] !== 'threads' || parts.length < 3) return { status: 404, error: `Unknown request URL: GET ${pathname}` };
+  
+  const thread = fixtures.threads.get(parts[1]);
+  if (!thread) return { status: 404, error: `No thread found with id '${parts[1]}'.` };
+  
+  if (parts[2] === 'messages' && parts.length === 3) {
+    return { body: paginate(thread.messages || [], query, pageSize) };
+  }
+  if (parts[2] !== 'runs') return { status: 404, error: `Unknown request URL: GET ${pathname}` };
+  if (parts.length === 3) return { body: paginate(thread.runs || [], query, pageSize) };
+  
+  const run = (thread.runs || []).find(r => r.id === parts[3]);
+  if (!run) return { status: 404, error: `No run found with id '${parts[3]}'.` };
+  if (parts.length === 4) return { body: run };
+  if (parts[4] === 'steps' && parts.length === 5) {
+    return { body: paginate((thread.steps || {})[run.id] || [], query, pageSize) };
+  }
+  return { status: 404, error: `Unknown request URL: GET ${pathname}` };
+};
+
+// Answer the tool calls of a run in requires_action and let it continue as its fixture says
+const submitToolOutputs = (thread, run, body) => {
+  if (run.status !== 'requires_action') {
+    return { status: 400, error: `Runs in status "${run.status}" do not accept tool outputs.` };
+  }
+  const pendingIds = run.required_action.submit_tool_outputs.tool_calls.map(toolCall => toolCall.id);
+  const outputs = new Map((Array.isArray(body.tool_outputs) ? body.tool_outputs : [])
+    .map(({ tool_call_id: id, output }) => [id, output]));
+  if (pendingIds.some(id => typeof outputs.get(id) !== 'string') || outputs.size !== pendingIds.length) {
+    return { status: 400, error: `Expected tool outputs for call_ids [${pendingIds.join(', ')}], got [${[...outputs.keys()].join(', ')}]` };
+  }
+  
+  const resume = (thread.resumes || {})[run.id] || {};
+  if (body.stream && !resume.stream) {
+    return { status: 400, error: `No recorded stream for the tool outputs of run '${run.id}'.` };
+  }
+  const steps = (thread.steps || {})[run.id] || [];
+  const answeredSteps = [];
+  steps.forEach((step, i) => {
+    const toolCalls = (step.step_details && step.step_details.tool_calls) || [];
+    if (!toolCalls.some(toolCall => outputs.has(toolCall.id))) return;
+    steps[i] = {
+      ...step,
+      status: 'completed',
+      completed_at: resume.submitted_at || Math.floor(Date.now() / 1000),
+      step_details: {
+        ...step.step_details,
+        tool_calls: toolCalls.map(toolCall => (outputs.has(toolCall.id)
+          ? { ...toolCall, function: { ...toolCall.function, output: outputs.get(toolCall.id) } }
+          : toolCall))
+      }
+    };
+    answeredSteps.push(steps[i]);
+  });
+  
+  const resumed = { ...run, status: 'in_progress', required_action: null };
+  recordObject(thread, resumed);
+  if (body.stream) {
+    const events = [
+      { event: 'thread.run.in_progress', data: resumed, delay_ms: 10 },
+      ...answeredSteps.map(step => ({ event: 'thread.run.step.completed', data: step, delay_ms: 10 })),
+      ...resume.stream
+    ];
+    return { stream: { thread, events, overrides: {} } };
+  }
+  if (resume.run) {
+    setTimeout(() => {
+      recordObject(thread, { ...resumed, ...resume.run });
+      (resume.steps || []).forEach(step => recordObject(thread, step));
+      (resume.messages || []).forEach(message => recordObject(thread, message));
+    }, resume.delay_ms || 0).unref();
+  }
+  return { body: resumed };
+};
+
+// POST /threads/{id}/messages, POST /threads/{id}/runs and
+// POST /threads/{id}/runs/{run_id}/submit_tool_outputs. A new run, and tool outputs submitted
+// with `stream: true`, resolve to `stream`, the events to send, instead of a body.
+const routePost = (fixtures, pathname, body) => {
+  const parts = pathname.split('/').filter(Boolean);
+  const isSubmit = parts.length === 5 && parts[2] === 'runs' && parts[4] === 'submit_tool_outputs';
+  if (parts[0] !== 'threads' || !(isSubmit || (parts.length === 3 && ['messages', 'runs'].includes(parts[2])))) {
+    return { status: 404, error: `Unknown request URL: POST ${pathname}` };
+  }
+  
+  const thread = fixtures.threads.get(parts[1]);
+  if (!thread) return { status: 404, error: `No thread found with id '${parts[1]}'.` };
+  
+  if (isSubmit) {
+    const run = (thread.runs || []).find(r => r.id === parts[3]);
+    return run ? submitToolOutputs(thread, run, body) : { status: 404, error: `No run found with id '${parts[3]}'.` };
+  }
+  
+  if (parts[2] === 'messages') {
+    if (!body.role || typeof body.content !== 'string') {
+      return { status: 400, error: 'The mock API needs a role and a text content to create a message.' };
+    }
+    thread.messages = thread.messages || [];
+    const message = {
+      id: `msg_posted_${thread.messages.length + 1}`,
+      object: 'thread.message',
+      created_at: Math.floor(Date.now() / 1000),
+      assistant_id: null,
+      thread_id: thread.thread_id,
+      run_id: null,
+      role: body.role,
+      content: [{ type: 'text', text: { value: body.content, annotations: [] } }],
+      attachments: [],
+      metadata: {}
+    };
+    thread.messages.push(message);
+    return { body: message };
+  }
+  
+  if (!body.assistant_id) return { status: 400, error: "Missing required parameter: 'assistant_id'." };
+  if (!body.stream) return { status: 400, error: 'The mock API only creates runs with stream: true.' };
+  const events = (thread.streams || {})[body.assistant_id];
+  if (!events) return { status: 404, error: `No recorded stream for assistant '${body.assistant_id}' on thread '${parts[1]}'.` };
+  
+  const overrides = {};
+  if (body.model) overrides.model = body.model;
+  if (body.instructions) overrides.instructions = body.instructions;
+  return { stream: { thread, events, overrides } };
+};
+
+export const createMockApiServer = ({ fixtures = loadFixtures(), pageSize = DEFAULT_PAGE_SIZE } = {}) =>
+  http.createServer((req, res) => {
+    // The viewer runs on another origin and sends custom headers, so answer preflights
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/^\/v1(?=\/)/, '');
+    
+    if (!req.headers.authorization && !req.headers['api-key']) {
+      sendError(res, 401, 'You didn\'t provide an API key.');
+      return;
+    }
+    
+    const respond = ({ status = 200, body, error, stream }) => {
+      if (error) {
+        sendError(res, status, error, status >= 500 ? 'server_error' : 'invalid_request_error');
+      } else if (stream) {
+        sendEventStream(res, stream.thread, stream.events, stream.overrides);
+      } else {
+        sendJson(res, status, body);
+      }
+    };
+    
+    if (req.method === 'GET') {
+      respond(route(fixtures, pathname, url.searchParams, pageSize));
+    } else if (req.method === 'POST') {
+      readJsonBody(req).then(
+        body => respond(routePost(fixtures, pathname, body)),
+        () => sendError(res, 400, 'We could not parse the JSON body of your request.')
+      );
+    } else {
+      sendError(res, 405, `Method ${req.method} is not supported by the mock API`);
+    }
+  });
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.argv[2], 10) || 4010;
+  createMockApiServer().listen(port, () => {
+    console.log(`Mock OpenAI API serving ${FIXTURES_DIR} at http://localhost:${port}/v1`);
+  });
+}
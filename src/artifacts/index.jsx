@@ -1,455 +1,3716 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import * as d3 from 'd3';
+import {
+  formatBytes,
+  formatCost,
+  formatDateTime,
+  formatDuration,
+  formatJsonString,
+  formatLatency,
+  formatTime,
+  formatTokens
+} from '@/lib/format';
+import {
+  ANALYTICS_PERCENTILES,
+  FAILED_STATUSES,
+  TERMINAL_RUN_STATUSES,
+  alignStepSequences,
+  buildLatencySeries,
+  getEndedAt,
+  getRunDuration,
+  getSettledMessages,
+  getStepToolNames,
+  parseAnalyticsTargets,
+  prepareTimelineData,
+  processRunData,
+  selectRunMessages
+} from '@/lib/runData';
+import { processResponseChain } from '@/lib/responseData';
+import { buildRunReport, renderHtmlReport, renderMarkdownReport } from '@/lib/report';
+import {
+  clearRunHistory,
+  deleteRunHistoryEntry,
+  getHistoryKey,
+  getRunHistoryPayload,
+  listRunHistory,
+  parseHistoryTags,
+  saveRunToHistory,
+  searchRunHistory,
+  updateRunHistoryEntry
+} from '@/lib/runHistory';
+import {
+  EMPTY_STEP_FILTER,
+  getStepFilterOptions,
+  isStepFilterActive,
+  splitHighlights,
+  stepMatchesFilter
+} from '@/lib/stepFilter';
+import { applyStreamTimings, processStreamedRun, readServerSentEvents } from '@/lib/streamData';
+import { buildToolOutputs, getPendingToolCalls, getToolOutputErrors, getToolOutputWarning } from '@/lib/toolOutputs';
+import { blobToDataUrl, serializeSvg, svgToPngBlob } from '@/lib/svgExport';
 
-const OpenAIAssistantDebugger = () => {
-  // Format functions - defined at the very top
-  const formatTime = (timestamp) => {
-    if (!timestamp) return 'N/A';
-    const date = new Date(timestamp);
-    // Remove .000 if milliseconds are zero
-    const milliseconds = date.getMilliseconds();
-    if (milliseconds === 0) {
-      return date.toLocaleTimeString();
+// Connection settings applied to every request; editable in the settings panel
+const DEFAULT_API_SETTINGS = {
+  baseUrl: 'https://api.openai.com/v1',
+  // Sent as the api-version query parameter when set (Azure OpenAI)
+  apiVersion: '',
+  // 'bearer' sends Authorization: Bearer <key>, 'api-key' sends api-key: <key> (Azure OpenAI)
+  authStyle: 'bearer',
+  organization: '',
+  project: '',
+  customHeaders: []
+};
+
+// Settings without the organization, project and custom headers, whose values can be as
+// sensitive as the key (e.g. proxy tokens). Clear All Saved Data wipes them with the keys.
+const withoutSensitiveSettings = (settings) => ({ ...settings, organization: '', project: '', customHeaders: [] });
+
+// Live follow mode polling: start fast, back off while nothing changes
+const POLL_INTERVAL_MIN = 1000;
+const POLL_INTERVAL_MAX = 15000;
+const POLL_BACKOFF_FACTOR = 1.5;
+const POLL_MAX_ERRORS = 5;
+
+// A run streamed from the viewer redraws at most this often while deltas arrive (milliseconds)
+const STREAM_RENDER_INTERVAL = 100;
+
+// Run settings shown in the configuration panel. `assistantField` names the assistant setting
+// the run inherits by default, for settings an assistant can define.
+const RUN_CONFIG_FIELDS = [
+  { field: 'model', label: 'Model', assistantField: 'model' },
+  { field: 'instructions', label: 'Instructions', assistantField: 'instructions' },
+  { field: 'tools', label: 'Tools', assistantField: 'tools' },
+  { field: 'temperature', label: 'Temperature', assistantField: 'temperature' },
+  { field: 'top_p', label: 'Top P', assistantField: 'top_p' },
+  { field: 'response_format', label: 'Response Format', assistantField: 'response_format' },
+  { field: 'tool_choice', label: 'Tool Choice' },
+  { field: 'parallel_tool_calls', label: 'Parallel Tool Calls' },
+  { field: 'truncation_strategy', label: 'Truncation Strategy' },
+  { field: 'max_prompt_tokens', label: 'Max Prompt Tokens' },
+  { field: 'max_completion_tokens', label: 'Max Completion Tokens' }
+];
+
+// Files are previewed inline when their content is at most this large
+const FILE_PREVIEW_MAX_BYTES = 2 * 1024 * 1024;
+const FILE_PREVIEW_ROWS = 20;
+const FILE_PREVIEW_CHARS = 5000;
+const IMAGE_FILE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+const TEXT_FILE_EXTENSIONS = ['txt', 'md', 'json', 'jsonl', 'log', 'py', 'js', 'ts', 'html', 'xml', 'yaml', 'yml', 'tsv'];
+
+// How a file can be previewed ('image', 'csv' or 'text'), judged by its name or MIME type
+const getFilePreviewKind = (filename, mimeType = '') => {
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  if (IMAGE_FILE_EXTENSIONS.includes(extension) || mimeType.startsWith('image/')) return 'image';
+  if (extension === 'csv' || mimeType === 'text/csv') return 'csv';
+  if (TEXT_FILE_EXTENSIONS.includes(extension) || mimeType.startsWith('text/')) return 'text';
+  return null;
+};
+
+// Every file referenced by a run's steps and messages, mapped to a preview kind when the
+// reference itself says what the file is (e.g. image outputs) and null otherwise
+const collectFileIds = (steps, messages) => {
+  const fileIds = new Map();
+  const add = (fileId, hint = null) => {
+    if (fileId && !fileIds.get(fileId)) fileIds.set(fileId, hint);
+  };
+  
+  steps.forEach(step => {
+    const details = step.step_details;
+    if (!details || !Array.isArray(details.tool_calls)) return;
+    details.tool_calls.filter(Boolean).forEach(toolCall => {
+      if (toolCall.type === 'code_interpreter' && toolCall.code_interpreter) {
+        (toolCall.code_interpreter.outputs || []).forEach(output => {
+          if (output && output.type === 'image' && output.image) add(output.image.file_id, 'image');
+        });
+      }
+      if (toolCall.type === 'file_search' && toolCall.file_search) {
+        (toolCall.file_search.results || []).forEach(result => add(result.file_id));
+      }
+    });
+  });
+  
+  messages.forEach(message => {
+    (message.attachments || []).forEach(attachment => add(attachment.file_id));
+    (message.content || []).filter(Boolean).forEach(part => {
+      if (part.type === 'image_file' && part.image_file) add(part.image_file.file_id, 'image');
+      if (part.type === 'text' && part.text) {
+        (part.text.annotations || []).forEach(annotation => {
+          if (annotation.file_citation) add(annotation.file_citation.file_id);
+          if (annotation.file_path) add(annotation.file_path.file_id);
+        });
+      }
+    });
+  });
+  
+  return fileIds;
+};
+
+// Run step lists leave out file search result chunks unless asked for them
+const FILE_SEARCH_CONTENT_INCLUDE = 'step_details.tool_calls[*].file_search.results[*].content';
+
+// Most responses loaded when following a previous_response_id chain back from a response
+const RESPONSE_CHAIN_MAX = 20;
+
+// Requests shown in the debug panel, keyed by the debugKey passed to apiGet
+const DEBUG_REQUESTS = [
+  ['run', 'Run Request'],
+  ['steps', 'Steps Request'],
+  ['messages', 'Messages Request'],
+  ['assistant', 'Assistant Request'],
+  ['threadRuns', 'Thread Runs Request'],
+  ['file', 'File Request'],
+  ['fileContent', 'File Content Request'],
+  ['response', 'Response Request'],
+  ['inputItems', 'Input Items Request'],
+  ['createMessage', 'Create Message Request'],
+  ['launch', 'Launch Run Request'],
+  ['submitToolOutputs', 'Submit Tool Outputs Request']
+];
+
+// Columns of the thread run browser; `value` extracts the sort key from a raw run object
+const THREAD_RUN_COLUMNS = [
+  { key: 'id', label: 'Run ID', value: run => run.id },
+  { key: 'status', label: 'Status', value: run => run.status || '' },
+  { key: 'model', label: 'Model', value: run => run.model || '' },
+  { key: 'created', label: 'Created', value: run => run.created_at || 0 },
+  { key: 'completed', label: 'Completed', value: run => getEndedAt(run) || 0 },
+  { key: 'duration', label: 'Duration', value: run => getRunDuration(run) || 0 }
+];
+
+// Whether a URL from a run is safe to link to. Imported and cached bundles can come from anyone,
+// so e.g. javascript: URLs are shown as text instead.
+const isWebUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+// Default USD prices per 1M tokens, editable in the viewer. Models are matched by exact
+// name first, then by the longest prefix, so dated snapshots pick up their family's price.
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'o1': { prompt: 15, completion: 60 },
+  'o3-mini': { prompt: 1.1, completion: 4.4 }
+};
+
+// The editor keeps prices as rows, so a name can be typed through values that clash with
+// another row, or are empty, without losing either row. Saved without the row IDs; saves from
+// before rows were used hold the { model: price } map itself.
+let lastPriceRowId = 0;
+const toPriceRow = (model, price) => ({ id: ++lastPriceRowId, model, prompt: price.prompt, completion: price.completion });
+const toPriceRows = (saved) => (Array.isArray(saved)
+  ? saved.map(row => toPriceRow(row.model, row))
+  : Object.entries(saved).map(([model, price]) => toPriceRow(model, price)));
+
+// The { model: price } map of the price rows. Rows without a name are skipped, and the first
+// of rows with the same name wins.
+const getPricesByModel = (rows) => rows.reduce((prices, row) => (
+  !row.model || prices[row.model] ? prices : { ...prices, [row.model]: { prompt: row.prompt, completion: row.completion } }
+), {});
+
+const findModelPrice = (prices, model) => {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+};
+
+// Estimated USD cost of a usage object, or null when the model has no price
+const estimateCost = (usage, price) => {
+  if (!usage || !price) return null;
+  const promptPrice = Number(price.prompt) || 0;
+  const completionPrice = Number(price.completion) || 0;
+  return ((usage.prompt_tokens || 0) * promptPrice + (usage.completion_tokens || 0) * completionPrice) / 1e6;
+};
+
+// A matched step counts as slower when it grew by at least this fraction and this many milliseconds
+const COMPARE_SLOWER_RATIO = 0.2;
+const COMPARE_SLOWER_MIN_MS = 500;
+
+// Where the API key is kept between page loads. It is never written to localStorage in plain text.
+const KEY_STORAGE_MODES = {
+  memory: 'Memory only',
+  session: 'Session storage',
+  encrypted: 'Encrypted with passphrase'
+};
+
+// Minutes after which a stored key is wiped; 0 keeps it until cleared
+const KEY_EXPIRY_OPTIONS = [
+  [15, '15 minutes'],
+  [60, '1 hour'],
+  [480, '8 hours'],
+  [1440, '24 hours'],
+  [0, 'Never']
+];
+const DEFAULT_KEY_EXPIRY_MINUTES = 60;
+
+const SESSION_KEY_ITEM = 'openai_debug_api_key';
+const ENCRYPTED_KEY_ITEM = 'openai_debug_api_key_encrypted';
+// Plain-text key written by earlier versions, migrated away on load
+const LEGACY_KEY_ITEM = 'openai_debug_api_key';
+
+const KEY_DERIVATION_ITERATIONS = 250000;
+
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const deriveKeyFromPassphrase = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: KEY_DERIVATION_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Encrypt a secret with AES-GCM under a PBKDF2-derived key; returns base64 fields safe to store
+const encryptSecret = async (secret, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKeyFromPassphrase(passphrase, salt);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(secret));
+  return {
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+  };
+};
+
+// Reverse of encryptSecret. A wrong passphrase fails authentication and throws.
+const decryptSecret = async ({ salt, iv, ciphertext }, passphrase) => {
+  const key = await deriveKeyFromPassphrase(passphrase, base64ToBytes(salt));
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(ciphertext)
+  );
+  return new TextDecoder().decode(plaintext);
+};
+
+// Read a stored key entry ({ expiresAt, ... }), dropping it if it has expired
+const readStoredKeyEntry = (storage, item) => {
+  try {
+    const entry = JSON.parse(storage.getItem(item));
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      storage.removeItem(item);
+      return null;
+    }
+    return entry;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Connection profiles are named connection settings with an API key of their own, e.g. one per
+// project and environment. The first profile keeps the key storage items used before profiles.
+const DEFAULT_PROFILE_ID = 'default';
+const PROFILES_ITEM = 'openai_debug_profiles';
+// Connection settings saved before profiles existed, migrated into the first profile
+const LEGACY_SETTINGS_ITEM = 'openai_debug_api_settings';
+
+// Environments a profile is labelled with, and the badge colours that tell them apart
+const PROFILE_ENVIRONMENTS = {
+  production: 'bg-red-100 text-red-800',
+  staging: 'bg-yellow-100 text-yellow-800',
+  development: 'bg-green-100 text-green-800',
+  other: 'bg-gray-200 text-gray-700'
+};
+
+// Storage item holding the key of a profile
+const profileKeyItem = (item, profileId) => (profileId === DEFAULT_PROFILE_ID ? item : `${item}:${profileId}`);
+
+const loadProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILES_ITEM));
+    if (Array.isArray(stored) && stored.length > 0) {
+      return stored.map(profile => ({ ...profile, settings: { ...DEFAULT_API_SETTINGS, ...profile.settings } }));
     }
-    return date.toLocaleTimeString() + '.' + milliseconds.toString().padStart(3, '0');
+  } catch (e) {
+    // Start over from the default profile
+  }
+  let settings = DEFAULT_API_SETTINGS;
+  try {
+    settings = { ...DEFAULT_API_SETTINGS, ...JSON.parse(localStorage.getItem(LEGACY_SETTINGS_ITEM)) };
+  } catch (e) {
+    // Unreadable settings fall back to the defaults
+  }
+  return [{ id: DEFAULT_PROFILE_ID, name: 'Default', environment: 'production', settings }];
+};
+
+const removeStoredProfileKey = (profileId) => {
+  sessionStorage.removeItem(profileKeyItem(SESSION_KEY_ITEM, profileId));
+  localStorage.removeItem(profileKeyItem(ENCRYPTED_KEY_ITEM, profileId));
+};
+
+// Key available without user interaction at startup: the session entry, or a legacy plain-text key
+const loadInitialApiKey = (mode, expiryMinutes, profileId = DEFAULT_PROFILE_ID) => {
+  if (mode === 'session') {
+    const entry = readStoredKeyEntry(sessionStorage, profileKeyItem(SESSION_KEY_ITEM, profileId));
+    if (entry) return { key: entry.key, expiresAt: entry.expiresAt || null };
+  }
+  const legacyKey = profileId === DEFAULT_PROFILE_ID && localStorage.getItem(LEGACY_KEY_ITEM);
+  if (legacyKey) {
+    return { key: legacyKey, expiresAt: expiryMinutes ? Date.now() + expiryMinutes * 60000 : null };
+  }
+  return { key: '', expiresAt: null };
+};
+
+// Waterfall timeline zoom limits and overview strip size
+const TIMELINE_MAX_ZOOM = 1000;
+const TIMELINE_OVERVIEW_HEIGHT = 24;
+// Milliseconds around which the log scale switches from linear to logarithmic
+const TIMELINE_LOG_CONSTANT = 100;
+// Opacity of rows hidden by the step filter
+const TIMELINE_DIMMED_OPACITY = 0.25;
+
+// Save a blob through the browser's download prompt
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// The brush overlay and handles only make sense on the page, the selected window stays
+const TIMELINE_EXPORT_OMIT = '.brush .overlay, .brush .handle';
+
+// Offline run export format. Bump the version when the bundle shape changes incompatibly.
+const BUNDLE_FORMAT = 'openai-run-viewer-bundle';
+const BUNDLE_VERSION = 1;
+
+// The raw API objects behind a run, in the form exportRun writes and the run history caches
+const buildRunBundle = (run) => {
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    run: run.rawRun,
+    steps: run.rawSteps,
+    messages: run.messages,
+    assistant: run.assistant,
+    // The connection profile the run was loaded with
+    profile: (run.source && run.source.profile) || null
+  };
+  // A Responses API chain is rebuilt from the raw responses on import
+  if (run.responses) {
+    bundle.responses = run.responses;
+    bundle.input_items = run.inputItems;
+  }
+  // A streamed run keeps its events, whose arrival times drive its timeline
+  if (run.stream) {
+    bundle.stream = {
+      requested_at: run.stream.requestedAt,
+      done: run.stream.done,
+      events: run.stream.events.map(({ event, receivedAt, data }) => ({ event, received_at: receivedAt, data }))
+    };
+  }
+  return bundle;
+};
+
+// Read and validate a bundle written by exportRun
+const readRunBundle = async (file) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch (e) {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error(`${file.name} is not a run export from this viewer`);
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`${file.name} uses bundle version ${bundle.version}, this viewer only reads up to version ${BUNDLE_VERSION}`);
+  }
+  if (!bundle.run || !Array.isArray(bundle.steps)) {
+    throw new Error(`${file.name} is missing the run or its steps`);
+  }
+  return bundle;
+};
+
+// The run view model for a bundle read from the file `fileName`, or from elsewhere as described
+// by `source`
+const processRunBundle = (bundle, fileName, source = null) => {
+  const options = {
+    // An unfinished run is shown as it was when it was exported
+    openEndFallback: Date.parse(bundle.exported_at) || Date.now(),
+    source: { ...(source || { type: 'file', name: fileName, exportedAt: bundle.exported_at }), profile: bundle.profile || null }
+  };
+  if (Array.isArray(bundle.responses) && bundle.responses.length > 0) {
+    return processResponseChain(bundle.responses, bundle.input_items || {}, options);
+  }
+  const run = processRunData(bundle.run, bundle.steps, {
+    ...options,
+    messages: Array.isArray(bundle.messages) ? bundle.messages : [],
+    assistant: bundle.assistant || null
+  });
+  if (!bundle.stream || !Array.isArray(bundle.stream.events)) return run;
+  const streamLog = {
+    requestedAt: bundle.stream.requested_at,
+    done: bundle.stream.done,
+    events: bundle.stream.events.map(({ event, received_at: receivedAt, data }) => ({ event, receivedAt, data }))
   };
+  return applyStreamTimings(run, streamLog, { openEndFallback: run.completed_at });
+};
+
+// Where on the time axis the first failing step and the run itself stopped without completing
+const getFailureMarkers = (run) => {
+  if (!run) return [];
+  const markers = [];
+  const failedStep = run.steps.find(step => FAILED_STATUSES.includes(step.status) && step.ended_at);
+  if (failedStep) {
+    markers.push({ at: failedStep.ended_at - run.started_at, label: `step ${failedStep.status}` });
+  }
+  if (FAILED_STATUSES.includes(run.status) && !run.isLive) {
+    const at = run.completed_at - run.started_at;
+    if (!markers.some(marker => marker.at === at)) markers.push({ at, label: `run ${run.status}` });
+  }
+  return markers;
+};
+
+// Failure markers, plus the first token of a streamed run
+const getTimelineMarkers = (run) => {
+  const markers = getFailureMarkers(run);
+  if (run && run.stream && run.stream.timeToFirstToken !== null) {
+    markers.push({ at: run.stream.timeToFirstToken, label: 'first token', color: '#1d4ed8' });
+  }
+  return markers;
+};
 
-  const formatDuration = (ms) => {
-    if (!ms || isNaN(ms)) return 'N/A';
+// Create D3 Waterfall Timeline component. The x-axis zooms with Ctrl/Cmd + wheel and pans by
+// dragging, the overview strip underneath can be brushed to pick a time window, and the view
+// survives redraws (live updates, step selection) until a different run is shown.
+// `markers` are vertical lines drawn across the chart, as { at, label, color } with `at` relative
+// to runStart and red as the default color
+const WaterfallTimeline = ({ data, runStart, runEnd, onStepClick, markers = [] }) => {
+  const svgRef = useRef();
+  const tooltipRef = useRef();
+  const zoomTransformRef = useRef(d3.zoomIdentity);
+  // Set by the drawing effect: zoom to a [start, end] window in ms, or reset with no arguments
+  const fitWindowRef = useRef(null);
+  // Read at click time, so a new handler does not redraw the chart
+  const onStepClickRef = useRef(onStepClick);
+  onStepClickRef.current = onStepClick;
+  const [logScale, setLogScale] = useState(false);
+  
+  // A different run starts from the full view
+  useEffect(() => {
+    zoomTransformRef.current = d3.zoomIdentity;
+  }, [runStart]);
+  
+  useEffect(() => {
+    if (!data || data.length === 0) return;
     
-    // Format as milliseconds for very short durations
-    if (ms < 1000) return `${Math.round(ms)}ms`;
+    // Clear any existing SVG content
+    d3.select(svgRef.current).selectAll("*").remove();
     
-    // Convert to seconds
-    const totalSeconds = ms / 1000;
+    // Set up dimensions and margins
+    const margin = { top: 20, right: 40, bottom: 30, left: 160 };
+    const width = svgRef.current.clientWidth - margin.left - margin.right;
+    const height = data.length * 40; // Height depends on number of steps
+    const overviewTop = height + margin.bottom;
     
-    // Format as seconds if less than 60 seconds
-    if (totalSeconds < 60) {
-      // Remove decimal for whole seconds
-      return `${Math.floor(totalSeconds) === totalSeconds ? 
-        Math.floor(totalSeconds) : 
-        totalSeconds.toFixed(1)}s`;
-    }
+    // Create the SVG container
+    const svgRoot = d3.select(svgRef.current)
+      .attr("width", width + margin.left + margin.right)
+      .attr("height", overviewTop + TIMELINE_OVERVIEW_HEIGHT + margin.top + 10);
     
-    // Format as minutes and seconds for longer durations
-    const minutes = Math.floor(totalSeconds / 60);
-    const seconds = Math.round(totalSeconds % 60);
+    const defs = svgRoot.append("defs");
     
-    // Only include seconds if they're non-zero
-    return seconds > 0 ? `${minutes}m ${seconds}s` : `${minutes}m`;
-  };
-
-  // Create D3 Waterfall Timeline component
-  const WaterfallTimeline = ({ data, runStart, runEnd, onStepClick }) => {
-    const svgRef = useRef();
-    const tooltipRef = useRef();
+    // Diagonal stripes that mark steps which ended without completing. Ids are per chart, as
+    // the compare view shows two.
+    const stripesId = `failed-step-stripes-${Math.random().toString(36).slice(2)}`;
+    defs.append("pattern")
+      .attr("id", stripesId)
+      .attr("patternUnits", "userSpaceOnUse")
+      .attr("width", 8)
+      .attr("height", 8)
+      .attr("patternTransform", "rotate(45)")
+      .call(pattern => {
+        pattern.append("rect").attr("width", 8).attr("height", 8).attr("fill", "#fca5a5");
+        pattern.append("rect").attr("width", 4).attr("height", 8).attr("fill", "#b91c1c");
+      });
     
-    useEffect(() => {
-      if (!data || data.length === 0) return;
-      
-      // Clear any existing SVG content
-      d3.select(svgRef.current).selectAll("*").remove();
-      
-      // Set up dimensions and margins
-      const margin = { top: 20, right: 40, bottom: 30, left: 160 };
-      const width = svgRef.current.clientWidth - margin.left - margin.right;
-      const height = data.length * 40; // Height depends on number of steps
-      
-      // Create the SVG container
-      const svg = d3.select(svgRef.current)
-        .attr("width", width + margin.left + margin.right)
-        .attr("height", height + margin.top + margin.bottom)
-        .append("g")
-        .attr("transform", `translate(${margin.left},${margin.top})`);
-      
-      // Set up scales
-      const x = d3.scaleLinear()
-        .domain([0, runEnd - runStart])
-        .range([0, width]);
-      
-      const y = d3.scaleBand()
-        .domain(data.map(d => d.name))
-        .range([0, height])
-        .padding(0.3);
-      
-      // Add X axis
-      svg.append("g")
-        .attr("transform", `translate(0,${height})`)
-        .call(d3.axisBottom(x)
-          .tickFormat(d => formatDuration(d))
-          .ticks(5)
-        );
-      
-      // Add Y axis
-      svg.append("g")
-        .call(d3.axisLeft(y))
-        .selectAll(".tick text")
-        .style("font-size", "12px")
-        .attr("fill", d => {
-          const dataItem = data.find(item => item.name === d);
-          return dataItem && dataItem.isGap ? "#999" : "#333";
-        });
-      
-      // Create a tooltip
-      const tooltip = d3.select(tooltipRef.current)
-        .style("opacity", 0)
-        .attr("class", "bg-white p-2 border border-gray-300 rounded shadow-md absolute pointer-events-none z-50");
-      
-      // Color scale
-      const colorScale = d3.scaleOrdinal()
-        .domain(data.map(d => d.index))
-        .range(['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#0088fe']);
-      
-      // Add bars
-      svg.selectAll(".bar")
-        .data(data)
-        .enter()
-        .append("rect")
-        .attr("class", "bar")
-        .attr("y", d => y(d.name))
-        .attr("x", d => x(d.actualStart))
-        .attr("width", d => Math.max(x(d.duration), 1)) // Ensure at least 1px width
-        .attr("height", y.bandwidth())
-        .attr("rx", 4)
-        .attr("ry", 4)
-        .attr("fill", d => {
-          if (d.isGap) return "#e0e0e0";
-          return d.isSelected ? "#ff0000" : colorScale(d.index);
-        })
-        .style("cursor", d => d.isGap ? "default" : "pointer")
-        .style("stroke", d => d.isGap ? "#ccc" : "none")
-        .style("stroke-dasharray", d => d.isGap ? "3,2" : "none")
-        .on("click", (event, d) => {
-          if (!d.isGap) onStepClick(d.index);
-        })
-        .on("mouseover", (event, d) => {
-          tooltip.transition()
-            .duration(200)
-            .style("opacity", 0.9);
-          tooltip.html(`
-            <div>
-              <p class="font-semibold">${d.isGap ? "Gap" : d.name}</p>
-              <p>Start: ${formatDuration(d.actualStart)}</p>
-              <p>End: ${formatDuration(d.actualEnd)}</p>
-              <p>Duration: ${formatDuration(d.duration)}</p>
-            </div>
-          `)
-            .style("left", (event.pageX + 10) + "px")
-            .style("top", (event.pageY - 28) + "px");
-        })
-        .on("mouseout", () => {
-          tooltip.transition()
-            .duration(500)
-            .style("opacity", 0);
-        });
-      
-      // Add duration labels inside bars
-      svg.selectAll(".label")
-        .data(data)
-        .enter()
-        .append("text")
-        .attr("class", "label")
-        .attr("x", d => x(d.actualStart) + x(d.duration) / 2)
-        .attr("y", d => y(d.name) + y.bandwidth() / 2)
-        .attr("text-anchor", "middle")
-        .attr("dominant-baseline", "middle")
-        .attr("fill", d => d.isGap ? "#666" : "white")
-        .attr("font-weight", "bold")
-        .attr("font-size", "12px")
-        .style("pointer-events", "none") // Make sure labels don't interfere with clicks
-        .text(d => x(d.duration) > 35 ? formatDuration(d.duration) : "")
+    // Keep zoomed bars from spilling over the step labels
+    const clipId = `timeline-clip-${Math.random().toString(36).slice(2)}`;
+    defs.append("clipPath")
+      .attr("id", clipId)
+      .append("rect")
+      .attr("y", -margin.top)
+      .attr("width", width)
+      .attr("height", height + margin.top);
+    
+    const svg = svgRoot
+      .append("g")
+      .attr("transform", `translate(${margin.left},${margin.top})`);
+    
+    // Set up scales. The symlog scale stays defined at zero, where the run starts.
+    const totalDuration = Math.max(runEnd - runStart, 1);
+    const baseX = (logScale ? d3.scaleSymlog().constant(TIMELINE_LOG_CONSTANT) : d3.scaleLinear())
+      .domain([0, totalDuration])
+      .range([0, width]);
+    let x = zoomTransformRef.current.rescaleX(baseX);
+    
+    const y = d3.scaleBand()
+      .domain(data.map(d => d.name))
+      .range([0, height])
+      .padding(0.3);
+    
+    // Add X axis
+    const xAxis = svg.append("g")
+      .attr("transform", `translate(0,${height})`);
+    
+    // Add Y axis
+    svg.append("g")
+      .call(d3.axisLeft(y))
+      .selectAll(".tick text")
+      .each(function(d) {
+        const dataItem = data.find(item => item.name === d);
+        d3.select(this)
+          .style("font-size", dataItem && dataItem.isToolCall ? "11px" : "12px")
+          .attr("opacity", dataItem && dataItem.isDimmed ? TIMELINE_DIMMED_OPACITY : 1)
+          .attr("fill", () => {
+            if (dataItem && dataItem.isGap) return "#999";
+            return dataItem && dataItem.isToolCall ? "#4b5563" : "#333";
+          });
+      });
+    
+    // Create a tooltip
+    const tooltip = d3.select(tooltipRef.current)
+      .style("opacity", 0)
+      .attr("class", "bg-white p-2 border border-gray-300 rounded shadow-md absolute pointer-events-none z-50");
+    
+    // Color scale
+    const colorScale = d3.scaleOrdinal()
+      .domain(data.map(d => d.index))
+      .range(['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#0088fe']);
+    
+    const barFill = d => {
+      if (d.isGap) return "#e0e0e0";
+      if (d.isSelected) return "#ff0000";
+      return d.isFailed ? `url(#${stripesId})` : colorScale(d.index);
+    };
+    
+    // Tool call lanes are drawn thinner than the step they belong to
+    const barY = d => (d.isToolCall ? y(d.name) + y.bandwidth() * 0.2 : y(d.name));
+    const barHeight = d => (d.isToolCall ? y.bandwidth() * 0.6 : y.bandwidth());
+    
+    const plot = svg.append("g")
+      .attr("clip-path", `url(#${clipId})`);
+    
+    // Add bars
+    const bars = plot.selectAll(".bar")
+      .data(data)
+      .enter()
+      .append("rect")
+      .attr("class", "bar")
+      .attr("y", barY)
+      .attr("height", barHeight)
+      .attr("rx", 4)
+      .attr("ry", 4)
+      .attr("fill", barFill)
+      .attr("fill-opacity", d => d.isToolCall ? 0.75 : 1)
+      .attr("opacity", d => d.isDimmed ? TIMELINE_DIMMED_OPACITY : 1)
+      .style("cursor", d => d.isGap ? "default" : "pointer")
+      .style("stroke", d => {
+        if (d.isGap) return "#ccc";
+        return d.isFailed ? "#7f1d1d" : "none";
+      })
+      .style("stroke-dasharray", d => d.isGap ? "3,2" : "none")
+      .on("click", (event, d) => {
+        if (!d.isGap) onStepClickRef.current(d.index);
+      })
+      .on("mouseover", (event, d) => {
+        tooltip.transition()
+          .duration(200)
+          .style("opacity", 0.9);
+        // Names come from the API or from imported bundles, so they are set as text, never as HTML
+        tooltip.html("");
+        const content = tooltip.append("div");
+        content.append("p").attr("class", "font-semibold").text(d.isGap && d.name === "<unknown>" ? "Gap" : d.name);
+        if (d.isToolCall) content.append("p").attr("class", "text-gray-600").text(`Tool call in step ${d.index + 1}`);
+        if (d.isFailed) content.append("p").attr("class", "text-red-700").text(`Status: ${d.status}`);
+        [
+          `Start: ${formatDuration(d.actualStart)}`,
+          `End: ${formatDuration(d.actualEnd)}`,
+          `Duration: ${formatDuration(d.duration)}`
+        ].forEach(line => content.append("p").text(line));
+        tooltip
+          .style("left", (event.pageX + 10) + "px")
+          .style("top", (event.pageY - 28) + "px");
+      })
+      .on("mouseout", () => {
+        tooltip.transition()
+          .duration(500)
+          .style("opacity", 0);
+      });
+    
+    // Add duration labels inside bars
+    const labels = plot.selectAll(".label")
+      .data(data)
+      .enter()
+      .append("text")
+      .attr("class", "label")
+      .attr("y", d => y(d.name) + y.bandwidth() / 2)
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "middle")
+      .attr("fill", d => d.isGap ? "#666" : "white")
+      .attr("font-weight", "bold")
+      .attr("font-size", "12px")
+      .attr("opacity", d => d.isDimmed ? TIMELINE_DIMMED_OPACITY : 1)
+      .style("pointer-events", "none"); // Make sure labels don't interfere with clicks
+    
+    // Add markers, e.g. the point where the run failed
+    const marker = plot.selectAll(".marker")
+      .data(markers)
+      .enter()
+      .append("g")
+      .attr("class", "marker")
+      .style("pointer-events", "none");
+    
+    marker.append("line")
+      .attr("y1", -margin.top + 4)
+      .attr("y2", height)
+      .attr("stroke", d => d.color || "#b91c1c")
+      .attr("stroke-width", 2)
+      .attr("stroke-dasharray", "4,3");
+    
+    marker.append("text")
+      .attr("y", -margin.top + 12)
+      .attr("x", -4)
+      .attr("text-anchor", "end")
+      .attr("fill", d => d.color || "#b91c1c")
+      .attr("font-size", "11px")
+      .attr("font-weight", "bold")
+      .text(d => d.label);
+    
+    const barX = d => x(d.actualStart);
+    const barWidth = d => Math.max(x(d.actualEnd) - x(d.actualStart), 1); // Ensure at least 1px width
+    
+    // Position everything that depends on the current x scale
+    const redraw = () => {
+      xAxis.call(d3.axisBottom(x)
+        .tickFormat(d => formatDuration(d))
+        .ticks(5)
+      );
+      bars
+        .attr("x", barX)
+        .attr("width", barWidth);
+      labels
+        .attr("x", d => barX(d) + barWidth(d) / 2)
+        .text(d => barWidth(d) > 35 ? formatDuration(d.duration) : "")
         .each(function(d) {
           // Check if text width exceeds bar width and hide if necessary
           const textWidth = this.getComputedTextLength();
-          if (textWidth > x(d.duration) - 10) {
+          if (textWidth > barWidth(d) - 10) {
             d3.select(this).text("");
           }
         });
+      marker.attr("transform", d => `translate(${x(d.at)},0)`);
+    };
+    
+    // Overview strip: the whole run at a glance, brushed to choose the visible window
+    const overview = svg.append("g")
+      .attr("transform", `translate(0,${overviewTop})`);
+    
+    const overviewY = d3.scaleBand()
+      .domain(data.map(d => d.name))
+      .range([0, TIMELINE_OVERVIEW_HEIGHT])
+      .padding(0.1);
+    
+    overview.append("rect")
+      .attr("width", width)
+      .attr("height", TIMELINE_OVERVIEW_HEIGHT)
+      .attr("fill", "#f9fafb")
+      .attr("stroke", "#e5e7eb");
+    
+    overview.selectAll(".overview-bar")
+      .data(data)
+      .enter()
+      .append("rect")
+      .attr("class", "overview-bar")
+      .attr("x", d => baseX(d.actualStart))
+      .attr("width", d => Math.max(baseX(d.actualEnd) - baseX(d.actualStart), 1))
+      .attr("y", d => overviewY(d.name))
+      .attr("height", overviewY.bandwidth())
+      .attr("fill", barFill)
+      .attr("opacity", d => d.isDimmed ? TIMELINE_DIMMED_OPACITY : 1);
+    
+    const zoom = d3.zoom()
+      .scaleExtent([1, TIMELINE_MAX_ZOOM])
+      .extent([[0, 0], [width, height]])
+      .translateExtent([[0, 0], [width, height]])
+      // Plain wheel scrolls the page; Ctrl/Cmd + wheel (and trackpad pinch) zooms
+      .filter(event => (event.type === 'wheel' ? event.ctrlKey || event.metaKey : !event.button))
+      .on("zoom", (event) => {
+        zoomTransformRef.current = event.transform;
+        x = event.transform.rescaleX(baseX);
+        redraw();
+        // Keep the brush in step unless the brush started this zoom
+        if (!event.sourceEvent || event.sourceEvent.type !== 'brush') {
+          brushGroup.call(brush.move, x.range().map(event.transform.invertX, event.transform), event);
+        }
+      });
+    
+    const brush = d3.brushX()
+      .extent([[0, 0], [width, TIMELINE_OVERVIEW_HEIGHT]])
+      .on("brush end", (event) => {
+        // Ignore moves made by the zoom handler above
+        if (!event.sourceEvent || event.sourceEvent.type === 'zoom') return;
+        const [x0, x1] = event.selection || baseX.range();
+        if (x1 - x0 < 1) return;
+        svgRoot.call(zoom.transform, d3.zoomIdentity.scale(width / (x1 - x0)).translate(-x0, 0), null, event);
+      });
+    
+    const brushGroup = overview.append("g")
+      .attr("class", "brush")
+      .call(brush);
+    
+    svgRoot
+      .call(zoom)
+      .on("dblclick.zoom", null)
+      .call(zoom.transform, zoomTransformRef.current);
+    
+    fitWindowRef.current = (start, end) => {
+      if (start === undefined) {
+        svgRoot.transition().duration(300).call(zoom.transform, d3.zoomIdentity);
+        return;
+      }
+      // Pad the window so the fitted bar doesn't touch the edges
+      const x0 = baseX(start);
+      const x1 = baseX(end);
+      const padding = Math.max((x1 - x0) * 0.1, 2);
+      const left = Math.max(x0 - padding, 0);
+      const right = Math.min(x1 + padding, width);
+      svgRoot.transition().duration(300)
+        .call(zoom.transform, d3.zoomIdentity.scale(width / Math.max(right - left, 1)).translate(-left, 0));
+    };
+    
+  }, [data, runStart, runEnd, markers, logScale]);
+  
+  // Keyboard shortcuts: F fits the selected step, 0 resets the zoom
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.ctrlKey || event.metaKey) return;
+      if (!fitWindowRef.current) return;
+      if (event.key === 'f' || event.key === 'F') {
+        const selected = data.find(d => d.isSelected);
+        if (selected) fitWindowRef.current(selected.actualStart, selected.actualEnd);
+      } else if (event.key === '0') {
+        fitWindowRef.current();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [data]);
+  
+  return (
+    <div className="relative w-full h-full flex flex-col">
+      <div className="flex items-center gap-3 mb-1 text-xs text-gray-600">
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={logScale}
+            onChange={(e) => {
+              zoomTransformRef.current = d3.zoomIdentity;
+              setLogScale(e.target.checked);
+            }}
+          />
+          Log scale
+        </label>
+        <button onClick={() => fitWindowRef.current && fitWindowRef.current()} className="text-blue-600 hover:underline">
+          Reset zoom
+        </button>
+        <span>Ctrl/⌘ + scroll to zoom, drag to pan, brush the strip below to pick a window · F fits the selected step · 0 resets</span>
+      </div>
+      <div className="flex-grow overflow-auto">
+        <svg ref={svgRef} className="w-full" />
+      </div>
+      <div ref={tooltipRef} />
+    </div>
+  );
+};
+
+// Latency analytics histogram resolution
+const ANALYTICS_HISTOGRAM_BINS = 20;
+
+// Histogram of one latency series
+const LatencyHistogram = ({ values }) => {
+  const svgRef = useRef();
+  
+  useEffect(() => {
+    d3.select(svgRef.current).selectAll("*").remove();
+    if (!values || values.length === 0) return;
+    
+    const margin = { top: 10, right: 20, bottom: 30, left: 40 };
+    const width = svgRef.current.clientWidth - margin.left - margin.right;
+    const height = 180;
+    
+    const svg = d3.select(svgRef.current)
+      .attr("height", height + margin.top + margin.bottom)
+      .append("g")
+      .attr("transform", `translate(${margin.left},${margin.top})`);
+    
+    const x = d3.scaleLinear()
+      .domain([0, Math.max(d3.max(values), 1)])
+      .nice()
+      .range([0, width]);
+    
+    const bins = d3.bin()
+      .domain(x.domain())
+      .thresholds(x.ticks(ANALYTICS_HISTOGRAM_BINS))(values);
+    
+    const y = d3.scaleLinear()
+      .domain([0, d3.max(bins, d => d.length)])
+      .nice()
+      .range([height, 0]);
+    
+    svg.selectAll(".bin")
+      .data(bins)
+      .enter()
+      .append("rect")
+      .attr("class", "bin")
+      .attr("x", d => x(d.x0) + 1)
+      .attr("width", d => Math.max(x(d.x1) - x(d.x0) - 1, 1))
+      .attr("y", d => y(d.length))
+      .attr("height", d => height - y(d.length))
+      .attr("fill", "#8884d8")
+      .append("title")
+      .text(d => `${formatLatency(d.x0)} - ${formatLatency(d.x1)}: ${d.length}`);
+    
+    // Percentile markers
+    const sorted = [...values].sort(d3.ascending);
+    ANALYTICS_PERCENTILES.forEach(([name, p]) => {
+      const at = x(d3.quantileSorted(sorted, p));
+      svg.append("line")
+        .attr("x1", at)
+        .attr("x2", at)
+        .attr("y1", 0)
+        .attr("y2", height)
+        .attr("stroke", "#b91c1c")
+        .attr("stroke-dasharray", "4,3");
+      svg.append("text")
+        .attr("x", at + 3)
+        .attr("y", 10)
+        .attr("fill", "#b91c1c")
+        .attr("font-size", "11px")
+        .text(name);
+    });
+    
+    svg.append("g")
+      .attr("transform", `translate(0,${height})`)
+      .call(d3.axisBottom(x).ticks(6).tickFormat(d => formatLatency(d)));
+    
+    svg.append("g")
+      .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format("d")));
+  }, [values]);
+  
+  return <svg ref={svgRef} className="w-full" />;
+};
+
+const OpenAIAssistantDebugger = () => {
+  // The loaded run and selected step live in the query string (?thread=...&run=...&step=N)
+  // so views can be linked to and browser history follows step selection
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [runId, setRunId] = useState(() => searchParams.get('run') || localStorage.getItem('openai_debug_run_id') || '');
+  const [threadId, setThreadId] = useState(() => searchParams.get('thread') || localStorage.getItem('openai_debug_thread_id') || '');
+  const [assistantId, setAssistantId] = useState(() => localStorage.getItem('openai_debug_assistant_id') || '');
+  // 'assistants' loads a thread run, 'responses' a Responses API response and its chain
+  const [apiMode, setApiMode] = useState(() => (
+    searchParams.get('response') || localStorage.getItem('openai_debug_api_mode') === 'responses' ? 'responses' : 'assistants'
+  ));
+  const [responseId, setResponseId] = useState(() => searchParams.get('response') || localStorage.getItem('openai_debug_response_id') || '');
+  const [keyStorageMode, setKeyStorageMode] = useState(() =>
+    KEY_STORAGE_MODES[localStorage.getItem('openai_debug_key_storage')] ? localStorage.getItem('openai_debug_key_storage') : 'session'
+  );
+  const [keyExpiryMinutes, setKeyExpiryMinutes] = useState(() => {
+    const stored = parseInt(localStorage.getItem('openai_debug_key_expiry'), 10);
+    return isNaN(stored) ? DEFAULT_KEY_EXPIRY_MINUTES : stored;
+  });
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(() => {
+    const stored = localStorage.getItem('openai_debug_active_profile');
+    return profiles.some(profile => profile.id === stored) ? stored : profiles[0].id;
+  });
+  const [initialApiKey] = useState(() => loadInitialApiKey(keyStorageMode, keyExpiryMinutes, activeProfileId));
+  const [apiKey, setApiKey] = useState(initialApiKey.key);
+  const [keyExpiresAt, setKeyExpiresAt] = useState(initialApiKey.expiresAt);
+  const [encryptedKeyEntry, setEncryptedKeyEntry] = useState(() =>
+    readStoredKeyEntry(localStorage, profileKeyItem(ENCRYPTED_KEY_ITEM, activeProfileId))
+  );
+  const [keyPassphrase, setKeyPassphrase] = useState('');
+  const [keyNotice, setKeyNotice] = useState(null);
+  const [showApiSettings, setShowApiSettings] = useState(false);
+  const [debugMode, setDebugMode] = useState(() => localStorage.getItem('openai_debug_mode') === 'true');
+  const [debugInfo, setDebugInfo] = useState(null);
+  const [runData, setRunData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedStepIndex, setSelectedStepIndex] = useState(null);
+  const [stepFilter, setStepFilter] = useState(EMPTY_STEP_FILTER);
+  const [fetchProgress, setFetchProgress] = useState(null);
+  const [followMode, setFollowMode] = useState(() => localStorage.getItem('openai_debug_follow') === 'true');
+  const [following, setFollowing] = useState(false);
+  const [priceRows, setPriceRows] = useState(() => {
+    try {
+      return toPriceRows(JSON.parse(localStorage.getItem('openai_debug_model_prices')) || DEFAULT_MODEL_PRICES);
+    } catch (e) {
+      return toPriceRows(DEFAULT_MODEL_PRICES);
+    }
+  });
+  const modelPrices = useMemo(() => getPricesByModel(priceRows), [priceRows]);
+  const [showPriceEditor, setShowPriceEditor] = useState(false);
+  const [draggingFile, setDraggingFile] = useState(false);
+  const [showCompareForm, setShowCompareForm] = useState(false);
+  const [compareThreadId, setCompareThreadId] = useState('');
+  const [compareRunId, setCompareRunId] = useState('');
+  const [compareData, setCompareData] = useState(null);
+  const [compareLoading, setCompareLoading] = useState(false);
+  // File metadata and content resolved through the Files API, keyed by file ID
+  const [resolvedFiles, setResolvedFiles] = useState({});
+  const [threadRuns, setThreadRuns] = useState(null);
+  const [threadRunsLoading, setThreadRunsLoading] = useState(false);
+  const [threadRunsSort, setThreadRunsSort] = useState({ key: 'created', direction: 'desc' });
+  // Runs collected for latency analytics, processed the same way as the loaded run
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [analyticsInput, setAnalyticsInput] = useState('');
+  const [analyticsRuns, setAnalyticsRuns] = useState([]);
+  const [analyticsLoading, setAnalyticsLoading] = useState(false);
+  const [analyticsProgress, setAnalyticsProgress] = useState(null);
+  const [analyticsErrors, setAnalyticsErrors] = useState([]);
+  const [analyticsSeriesKey, setAnalyticsSeriesKey] = useState('total');
+  // Run history sidebar, backed by IndexedDB
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [historyQuery, setHistoryQuery] = useState('');
+  const [historyStarredOnly, setHistoryStarredOnly] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
+  const [editingHistoryKey, setEditingHistoryKey] = useState(null);
+  const [historyDraft, setHistoryDraft] = useState({ notes: '', tags: '' });
+  // Launching a streamed run on the thread; empty overrides keep the assistant's settings
+  const [showLaunchForm, setShowLaunchForm] = useState(false);
+  const [launchSettings, setLaunchSettings] = useState({ message: '', model: '', instructions: '' });
+  // Outputs typed for the pending tool calls of a run in requires_action, keyed by tool call ID
+  const [toolOutputDrafts, setToolOutputDrafts] = useState({});
+  const [submittingToolOutputs, setSubmittingToolOutputs] = useState(false);
+  
+  const stepRefs = useRef({});
+  const abortControllerRef = useRef(null);
+  const importInputRef = useRef(null);
+  const timelineContainerRef = useRef(null);
+  const analyticsImportRef = useRef(null);
+  const analyticsAbortRef = useRef(null);
+  // Files already requested this session, and the object URLs created for their content
+  const requestedFileIdsRef = useRef(new Set());
+  const fileObjectUrlsRef = useRef([]);
+  // "thread/run" of the run, or the ID of the response, most recently requested, to tell URL
+  // changes we caused from navigation
+  const requestedRunKeyRef = useRef('');
+  const followTimerRef = useRef(null);
+  const followAbortRef = useRef(null);
+  // The latest handleUrlChange, for the effect that follows the URL
+  const urlChangeHandlerRef = useRef(null);
+  // rawRun of the run last recorded in the history
+  const savedRawRunRef = useRef(null);
+  // The latest resolveFile, which reads the current connection settings and key
+  const resolveFileRef = useRef(null);
+  // Keys of the profiles switched away from this session, so switching back needs no retyping
+  const profileKeysRef = useRef({});
+  
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+  const apiSettings = activeProfile.settings;
+  const setApiSettings = (update) => {
+    setProfiles(prev => prev.map(profile => (profile.id === activeProfile.id
+      ? { ...profile, settings: typeof update === 'function' ? update(profile.settings) : update }
+      : profile)));
+  };
+
+  // Save values to localStorage when they change
+  useEffect(() => {
+    if (runId) localStorage.setItem('openai_debug_run_id', runId);
+    if (threadId) localStorage.setItem('openai_debug_thread_id', threadId);
+    if (assistantId) localStorage.setItem('openai_debug_assistant_id', assistantId);
+    if (responseId) localStorage.setItem('openai_debug_response_id', responseId);
+    localStorage.setItem('openai_debug_api_mode', apiMode);
+    localStorage.setItem('openai_debug_mode', debugMode);
+    localStorage.setItem('openai_debug_follow', followMode);
+    localStorage.setItem('openai_debug_key_storage', keyStorageMode);
+    localStorage.setItem('openai_debug_key_expiry', keyExpiryMinutes);
+  }, [runId, threadId, assistantId, responseId, apiMode, debugMode, followMode, keyStorageMode, keyExpiryMinutes]);
+
+  // Keep the session copy of the API key in step with the key in memory. Encrypted storage
+  // is only written explicitly, since it needs the passphrase.
+  useEffect(() => {
+    // Any plain-text key from earlier versions has been read into memory by now
+    localStorage.removeItem(LEGACY_KEY_ITEM);
+    const item = profileKeyItem(SESSION_KEY_ITEM, activeProfile.id);
+    if (keyStorageMode === 'session' && apiKey) {
+      sessionStorage.setItem(item, JSON.stringify({ key: apiKey, expiresAt: keyExpiresAt }));
+    } else {
+      sessionStorage.removeItem(item);
+    }
+  }, [apiKey, keyExpiresAt, keyStorageMode, activeProfile.id]);
+
+  // Forget the key of the active profile, or of every profile
+  const clearStoredApiKey = useCallback(({ allProfiles = false } = {}) => {
+    (allProfiles ? profiles : [activeProfile]).forEach(profile => {
+      removeStoredProfileKey(profile.id);
+      delete profileKeysRef.current[profile.id];
+    });
+    localStorage.removeItem(LEGACY_KEY_ITEM);
+    setEncryptedKeyEntry(null);
+    setApiKey('');
+    setKeyExpiresAt(null);
+    setKeyPassphrase('');
+  }, [profiles, activeProfile]);
+
+  // Wipe the key everywhere once it expires
+  useEffect(() => {
+    if (!keyExpiresAt) return;
+    const timer = setTimeout(() => {
+      clearStoredApiKey();
+      setKeyNotice('The API key expired and was cleared. Enter it again to continue.');
+    }, Math.max(keyExpiresAt - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [keyExpiresAt, clearStoredApiKey]);
+
+  useEffect(() => {
+    localStorage.setItem('openai_debug_model_prices', JSON.stringify(priceRows.map(({ model, prompt, completion }) => ({ model, prompt, completion }))));
+  }, [priceRows]);
+
+  useEffect(() => {
+    localStorage.setItem(PROFILES_ITEM, JSON.stringify(profiles));
+    localStorage.setItem('openai_debug_active_profile', activeProfile.id);
+    // Migrated into the first profile by now
+    localStorage.removeItem(LEGACY_SETTINGS_ITEM);
+  }, [profiles, activeProfile.id]);
+
+  // While following a live run, keep extending the open run and step bars to "now"
+  useEffect(() => {
+    if (!following) return;
+    const ticker = setInterval(() => {
+      setRunData(prev => (prev && prev.isLive ? { ...prev, completed_at: Date.now() } : prev));
+    }, 1000);
+    return () => clearInterval(ticker);
+  }, [following]);
+
+  // Follow the URL. Only URL changes should trigger a load, not edits to the form fields the
+  // handler reads, so the effect calls the latest handler through a ref.
+  useEffect(() => {
+    urlChangeHandlerRef.current(searchParams);
+  }, [searchParams]);
+
+  // Bring the selected step into view, including once a deep-linked run finishes loading
+  const loadedRunId = runData ? runData.id : null;
+  useEffect(() => {
+    if (selectedStepIndex !== null) scrollStepIntoView(selectedStepIndex);
+  }, [selectedStepIndex, loadedRunId]);
+
+  // Filter values and tool output drafts rarely mean anything for a different run, and a
+  // comparison is against the run it was loaded for
+  useEffect(() => {
+    setStepFilter(EMPTY_STEP_FILTER);
+    setToolOutputDrafts({});
+    setCompareData(null);
+  }, [loadedRunId]);
+
+  const refreshHistory = useCallback(async () => {
+    try {
+      setHistoryEntries(await listRunHistory());
+      setHistoryError(null);
+    } catch (err) {
+      setHistoryError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshHistory();
+  }, [refreshHistory]);
+
+  // Record every run shown in the history, with a cached copy for reopening it offline. Live
+  // updates replace rawRun only when the run changed, so ticking bars do not rewrite it.
+  useEffect(() => {
+    if (!runData || runData.rawRun === savedRawRunRef.current) return;
+    savedRawRunRef.current = runData.rawRun;
+    if (runData.source && runData.source.type === 'history') return;
+    saveRunToHistory(runData, buildRunBundle(runData))
+      .then(refreshHistory)
+      .catch(err => {
+        setHistoryError(err.message);
+        console.warn("Could not save the run to the history:", err);
+      });
+  }, [runData, refreshHistory]);
+
+  // Files requested with other credentials may be readable with these ones, so request them again
+  useEffect(() => {
+    requestedFileIdsRef.current.clear();
+  }, [apiKey, activeProfile.id, apiSettings.baseUrl]);
+
+  // Resolve the files a fetched run refers to. Imported runs stay offline.
+  useEffect(() => {
+    if (!runData || !apiKey || (runData.source && runData.source.type === 'file')) return;
+    // resolveFile skips files it has already requested, so re-running this is cheap
+    collectFileIds(runData.steps, runData.messages).forEach((hint, fileId) => resolveFileRef.current(fileId, hint));
+  }, [runData, apiKey, activeProfile.id, apiSettings.baseUrl]);
+
+  // Stop polling and release file previews when the viewer is unmounted
+  useEffect(() => () => {
+    if (followTimerRef.current) clearTimeout(followTimerRef.current);
+    if (followAbortRef.current) followAbortRef.current.abort();
+    fileObjectUrlsRef.current.forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  // Absolute URL for an API path, with the configured api-version appended
+  const apiUrl = (path) => {
+    const url = `${apiSettings.baseUrl.replace(/\/+$/, '')}${path}`;
+    if (!apiSettings.apiVersion) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}api-version=${encodeURIComponent(apiSettings.apiVersion)}`;
+  };
+
+  const getRequestHeaders = (key = apiKey) => {
+    const headers = apiSettings.authStyle === 'api-key'
+      ? { 'api-key': key }
+      : { 'Authorization': `Bearer ${key}` };
+    
+    headers['Content-Type'] = 'application/json';
+    headers['OpenAI-Beta'] = 'assistants=v2';
+    if (apiSettings.organization) headers['OpenAI-Organization'] = apiSettings.organization;
+    if (apiSettings.project) headers['OpenAI-Project'] = apiSettings.project;
+    apiSettings.customHeaders.forEach(({ name, value }) => {
+      if (name) headers[name] = value;
+    });
+    return headers;
+  };
+
+  // Same headers with the API key masked, for display in the debug panel
+  const getDebugHeaders = () =>
+    getRequestHeaders(`${apiKey.substring(0, 3)}...${apiKey.substring(apiKey.length - 3)}`);
+
+  // GET a JSON resource, mirroring the request and response into the debug panel
+  // under `${debugKey}Url`, `${debugKey}Status`, `${debugKey}Response`, etc.
+  const apiGet = async (url, debugKey, label, signal) => {
+    if (debugMode) {
+      // Use a callback to ensure we're updating the latest state
+      setDebugInfo(prevInfo => ({
+        ...(prevInfo || {}),
+        [`${debugKey}Url`]: url,
+        [`${debugKey}Headers`]: getDebugHeaders()
+      }));
+    }
+    
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: getRequestHeaders(),
+      signal
+    });
+    
+    const responseText = await response.text();
+    let responseJson = null;
+    
+    try {
+      responseJson = JSON.parse(responseText);
+    } catch (e) {
+      // Response wasn't valid JSON
+    }
+    
+    if (debugMode) {
+      setDebugInfo(prevInfo => ({
+        ...prevInfo,
+        [`${debugKey}Status`]: response.status,
+        [`${debugKey}StatusText`]: response.statusText,
+        [`${debugKey}Response`]: responseJson || responseText
+      }));
+    }
+    
+    if (!response.ok) {
+      throw new Error(`${label} API request failed with status ${response.status}: ${responseText}`);
+    }
+    
+    return responseJson;
+  };
+
+  // GET a binary resource as a Blob, recording the request in the debug panel like apiGet
+  const apiGetBlob = async (url, debugKey, label, signal) => {
+    if (debugMode) {
+      setDebugInfo(prevInfo => ({
+        ...(prevInfo || {}),
+        [`${debugKey}Url`]: url,
+        [`${debugKey}Headers`]: getDebugHeaders()
+      }));
+    }
+    
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: getRequestHeaders(),
+      signal
+    });
+    
+    if (!response.ok) {
+      const responseText = await response.text();
+      if (debugMode) {
+        setDebugInfo(prevInfo => ({
+          ...prevInfo,
+          [`${debugKey}Status`]: response.status,
+          [`${debugKey}StatusText`]: response.statusText,
+          [`${debugKey}Response`]: responseText
+        }));
+      }
+      throw new Error(`${label} API request failed with status ${response.status}: ${responseText}`);
+    }
+    
+    const blob = await response.blob();
+    if (debugMode) {
+      setDebugInfo(prevInfo => ({
+        ...prevInfo,
+        [`${debugKey}Status`]: response.status,
+        [`${debugKey}StatusText`]: response.statusText,
+        [`${debugKey}Response`]: `<${blob.type || 'binary'}, ${blob.size} bytes>`
+      }));
+    }
+    return blob;
+  };
+
+  // POST a JSON body and return the JSON response, recording the request in the debug panel
+  // like apiGet
+  const apiPost = async (url, body, debugKey, label, signal) => {
+    if (debugMode) {
+      setDebugInfo(prevInfo => ({
+        ...(prevInfo || {}),
+        [`${debugKey}Url`]: url,
+        [`${debugKey}Headers`]: getDebugHeaders()
+      }));
+    }
+    
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: getRequestHeaders(),
+      body: JSON.stringify(body),
+      signal
+    });
+    
+    const responseText = await response.text();
+    let responseJson = null;
+    
+    try {
+      responseJson = JSON.parse(responseText);
+    } catch (e) {
+      // Response wasn't valid JSON
+    }
+    
+    if (debugMode) {
+      setDebugInfo(prevInfo => ({
+        ...prevInfo,
+        [`${debugKey}Status`]: response.status,
+        [`${debugKey}StatusText`]: response.statusText,
+        [`${debugKey}Response`]: responseJson || responseText
+      }));
+    }
+    
+    if (!response.ok) {
+      throw new Error(`${label} API request failed with status ${response.status}: ${responseText}`);
+    }
+    
+    return responseJson;
+  };
+
+  // POST a JSON body that asks for `stream: true` and call `onEvent({ event, data })` for each
+  // server-sent event of the response, with `data` as the raw string. Resolves with the number
+  // of events once the stream ends.
+  const apiPostStream = async (url, body, debugKey, label, signal, onEvent) => {
+    if (debugMode) {
+      setDebugInfo(prevInfo => ({
+        ...(prevInfo || {}),
+        [`${debugKey}Url`]: url,
+        [`${debugKey}Headers`]: getDebugHeaders()
+      }));
+    }
+    
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { ...getRequestHeaders(), 'Accept': 'text/event-stream' },
+      body: JSON.stringify(body),
+      signal
+    });
+    
+    if (!response.ok) {
+      const responseText = await response.text();
+      if (debugMode) {
+        setDebugInfo(prevInfo => ({
+          ...prevInfo,
+          [`${debugKey}Status`]: response.status,
+          [`${debugKey}StatusText`]: response.statusText,
+          [`${debugKey}Response`]: responseText
+        }));
+      }
+      throw new Error(`${label} API request failed with status ${response.status}: ${responseText}`);
+    }
+    
+    let eventCount = 0;
+    await readServerSentEvents(response.body, event => {
+      eventCount++;
+      onEvent(event);
+    });
+    if (debugMode) {
+      setDebugInfo(prevInfo => ({
+        ...prevInfo,
+        [`${debugKey}Status`]: response.status,
+        [`${debugKey}StatusText`]: response.statusText,
+        [`${debugKey}Response`]: `<text/event-stream, ${eventCount} events>`
+      }));
+    }
+    return eventCount;
+  };
+
+  // GET every page of a list endpoint, following the has_more/last_id cursor. `onPage` is
+  // called with the items collected so far after each page. Errors thrown part way through
+  // carry the failing `page` and the `items` collected before it.
+  const apiGetAll = async (baseUrl, debugKey, label, signal, onPage, startAfter = null) => {
+    const items = [];
+    let after = startAfter;
+    let hasMore = true;
+    let page = 0;
+    
+    while (hasMore) {
+      const url = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}limit=100` +
+        (after ? `&after=${encodeURIComponent(after)}` : '');
+      page += 1;
+      
+      if (debugMode) {
+        setDebugInfo(prevInfo => ({ ...(prevInfo || {}), [`${debugKey}Page`]: page }));
+      }
+      
+      let pageData;
+      try {
+        pageData = await apiGet(url, debugKey, label, signal);
+      } catch (err) {
+        err.page = page;
+        err.items = items;
+        throw err;
+      }
+      
+      const pageItems = pageData.data || [];
+      items.push(...pageItems);
+      if (onPage) onPage(page, items);
+      
+      hasMore = Boolean(pageData.has_more) && pageItems.length > 0;
+      after = pageData.last_id || (pageItems.length > 0 ? pageItems[pageItems.length - 1].id : null);
+      if (!after) hasMore = false;
+    }
+    
+    return items;
+  };
+
+  // Fetch the run and every one of its steps
+  const fetchRunAndSteps = async (targetThreadId, targetRunId, signal, onPage) => {
+    let runInfo;
+    
+    try {
+      runInfo = await apiGet(apiUrl(`/threads/${targetThreadId}/runs/${targetRunId}`), 'run', 'Run', signal);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      console.error("Error fetching run:", err);
+      throw new Error(`Error fetching run details: ${err.message || 'Network error'}`);
+    }
+    
+    try {
+      const steps = await apiGetAll(
+        apiUrl(`/threads/${targetThreadId}/runs/${targetRunId}/steps?order=asc&include[]=${encodeURIComponent(FILE_SEARCH_CONTENT_INCLUDE)}`),
+        'steps', 'Steps', signal, onPage
+      );
+      return { runInfo, steps };
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        err.partial = { runInfo, steps: err.items };
+        throw err;
+      }
+      console.error("Error fetching steps:", err);
+      throw new Error(`Error fetching run steps (page ${err.page}): ${err.message || 'Network error'}`);
+    }
+  };
+
+  // Fetch the thread messages that make up the run's transcript: the user messages posted before
+  // the run started plus the messages the run itself created. Failures here are not fatal, the
+  // timeline is still useful without the transcript. `knownMessages`, the transcript fetched
+  // before, is kept up to its first message still being written and only the rest fetched.
+  const fetchRunMessages = async (runInfo, signal, knownMessages = []) => {
+    const settled = getSettledMessages(knownMessages);
+    try {
+      const threadMessages = await apiGetAll(
+        apiUrl(`/threads/${runInfo.thread_id}/messages?order=asc`),
+        'messages', 'Messages', signal, null,
+        settled.length > 0 ? settled[settled.length - 1].id : null
+      );
+      return { messages: [...settled, ...selectRunMessages(threadMessages, runInfo)], messagesError: null };
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      console.error("Error fetching messages:", err);
+      return { messages: [], messagesError: err.message || 'Network error' };
+    }
+  };
+
+  // Fetch the assistant the run was started from, to compare its defaults with what the run
+  // actually used. Like messages, this is optional for the rest of the view.
+  const fetchRunAssistant = async (runInfo, signal) => {
+    if (!runInfo.assistant_id) return { assistant: null, assistantError: null };
+    try {
+      const assistant = await apiGet(apiUrl(`/assistants/${runInfo.assistant_id}`), 'assistant', 'Assistant', signal);
+      return { assistant, assistantError: null };
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      console.error("Error fetching assistant:", err);
+      return { assistant: null, assistantError: err.message || 'Network error' };
+    }
+  };
+
+  const stopFollowing = () => {
+    if (followTimerRef.current) {
+      clearTimeout(followTimerRef.current);
+      followTimerRef.current = null;
+    }
+    if (followAbortRef.current) {
+      followAbortRef.current.abort();
+      followAbortRef.current = null;
+    }
+    setFollowing(false);
+  };
+
+  // Poll the run until it reaches a terminal status. The delay resets whenever the run or
+  // its steps change and backs off while nothing happens or requests fail.
+  // `initialExtras` holds the messages and assistant already loaded alongside the run
+  const startFollowing = (initialRunInfo, initialSteps, initialExtras) => {
+    stopFollowing();
+    
+    const abortController = new AbortController();
+    followAbortRef.current = abortController;
+    setFollowing(true);
+    
+    const snapshot = (runInfo, steps) =>
+      [runInfo.status, ...steps.map(step => `${step.id}:${step.status}`)].join('|');
+    
+    let lastSnapshot = snapshot(initialRunInfo, initialSteps);
+    let lastExtras = initialExtras;
+    let delay = POLL_INTERVAL_MIN;
+    let consecutiveErrors = 0;
+    
+    const poll = async () => {
+      try {
+        const { runInfo, steps } = await fetchRunAndSteps(
+          initialRunInfo.thread_id, initialRunInfo.id, abortController.signal
+        );
+        if (abortController.signal.aborted) return;
+        
+        const currentSnapshot = snapshot(runInfo, steps);
+        const isTerminal = TERMINAL_RUN_STATUSES.includes(runInfo.status);
+        
+        // Messages only change when a step does, so skip refetching them on quiet polls
+        if (currentSnapshot !== lastSnapshot || isTerminal) {
+          lastExtras = { ...lastExtras, ...(await fetchRunMessages(runInfo, abortController.signal, lastExtras.messages)) };
+        }
+        
+        consecutiveErrors = 0;
+        setError(null);
+        setRunData(processRunData(runInfo, steps, lastExtras));
+        
+        if (isTerminal) {
+          stopFollowing();
+          return;
+        }
+        
+        delay = currentSnapshot === lastSnapshot
+          ? Math.min(delay * POLL_BACKOFF_FACTOR, POLL_INTERVAL_MAX)
+          : POLL_INTERVAL_MIN;
+        lastSnapshot = currentSnapshot;
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        
+        consecutiveErrors += 1;
+        console.error("Error polling run:", err);
+        if (consecutiveErrors >= POLL_MAX_ERRORS) {
+          setError(`Stopped following run after ${consecutiveErrors} failed polls: ${err.message}`);
+          stopFollowing();
+          return;
+        }
+        setError(`Polling failed (attempt ${consecutiveErrors} of ${POLL_MAX_ERRORS}), retrying: ${err.message}`);
+        delay = Math.min(delay * 2, POLL_INTERVAL_MAX);
+      }
+      
+      followTimerRef.current = setTimeout(poll, delay);
+    };
+    
+    followTimerRef.current = setTimeout(poll, delay);
+  };
+
+  // Add runs to the analytics set, replacing runs that are already in it
+  const addAnalyticsRuns = (runs) => {
+    setAnalyticsRuns(prev => {
+      const byId = new Map(prev.map(run => [run.id, run]));
+      runs.forEach(run => byId.set(run.id, run));
+      return [...byId.values()];
+    });
+  };
+
+  // Fetch every run named in the analytics input. Runs that fail to load are reported and
+  // skipped; cancelling keeps the runs fetched so far.
+  const loadAnalyticsRuns = async () => {
+    const targets = parseAnalyticsTargets(analyticsInput, threadId);
+    if (targets.length === 0 || !apiKey) {
+      setError('Thread or run IDs and an API Key are required to load analytics');
+      return;
+    }
+    
+    const abortController = new AbortController();
+    analyticsAbortRef.current = abortController;
+    setAnalyticsLoading(true);
+    setAnalyticsErrors([]);
+    setError(null);
+    
+    const errors = targets.filter(target => target.error).map(target => target.error);
+    const loaded = [];
+    
+    try {
+      // Expand threads into their runs first so progress can be counted in runs
+      const runTargets = [];
+      for (const target of targets.filter(t => !t.error)) {
+        if (target.runId) {
+          runTargets.push(target);
+          continue;
+        }
+        setAnalyticsProgress({ message: `Listing runs in ${target.threadId}...` });
+        try {
+          const runs = await apiGetAll(apiUrl(`/threads/${target.threadId}/runs`), 'threadRuns', 'Thread runs', abortController.signal);
+          runs.forEach(run => runTargets.push({ threadId: target.threadId, runId: run.id }));
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          errors.push(`${target.threadId}: ${err.message || 'Network error'}`);
+        }
+      }
+      
+      for (const [i, target] of runTargets.entries()) {
+        setAnalyticsProgress({ message: `Fetching run ${i + 1} of ${runTargets.length}...` });
+        try {
+          const { runInfo, steps } = await fetchRunAndSteps(target.threadId, target.runId, abortController.signal);
+          loaded.push(processRunData(runInfo, steps));
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          errors.push(`${target.runId}: ${err.message || 'Network error'}`);
+        }
+      }
+    } catch (err) {
+      errors.push(err.name === 'AbortError' ? `Cancelled after loading ${loaded.length} runs` : err.message);
+    } finally {
+      addAnalyticsRuns(loaded);
+      setAnalyticsErrors(errors);
+      analyticsAbortRef.current = null;
+      setAnalyticsLoading(false);
+      setAnalyticsProgress(null);
+    }
+  };
+
+  const importAnalyticsBundles = async (files) => {
+    const loaded = [];
+    const errors = [];
+    for (const file of files) {
+      try {
+        loaded.push(processRunBundle(await readRunBundle(file), file.name));
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    addAnalyticsRuns(loaded);
+    setAnalyticsErrors(errors);
+  };
+
+  // Cancel the run, response or comparison being loaded. Loading another one cancels it too, so
+  // a late answer cannot replace the newer run; requests check that they are still
+  // abortControllerRef.current before reporting.
+  const cancelFetch = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+
+  const fetchRunData = async (targetRunId = runId, targetThreadId = threadId) => {
+    if (!targetRunId || !targetThreadId || !apiKey) {
+      setError('Run ID, Thread ID, and API Key are required');
+      return;
+    }
+
+    stopFollowing();
+    cancelFetch();
+    requestedRunKeyRef.current = `${targetThreadId}/${targetRunId}`;
+    const profile = getProfileSummary();
+    
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    setLoading(true);
+    setError(null);
+    setDebugInfo(null);
+    setFetchProgress({ pages: 0, steps: 0 });
+    
+    try {
+      const { runInfo, steps } = await fetchRunAndSteps(targetThreadId, targetRunId, abortController.signal, (page, collectedSteps) => {
+        setFetchProgress({ pages: page, steps: collectedSteps.length });
+      });
+      
+      const extras = {
+        ...(await fetchRunMessages(runInfo, abortController.signal)),
+        ...(await fetchRunAssistant(runInfo, abortController.signal)),
+        source: { type: 'api', profile }
+      };
+      setRunData(processRunData(runInfo, steps, extras));
+      
+      // Point the URL at the newly loaded run; a deep link to this run keeps its step selection
+      if (searchParams.get('thread') !== targetThreadId || searchParams.get('run') !== targetRunId) {
+        setSearchParams({ thread: targetThreadId, run: targetRunId });
+      }
+      
+      if (followMode && !TERMINAL_RUN_STATUSES.includes(runInfo.status)) {
+        startFollowing(runInfo, steps, extras);
+      }
+    } catch (err) {
+      if (abortControllerRef.current !== abortController) return;
+      if (err.name === 'AbortError') {
+        // Keep whatever was loaded before the user cancelled so it can still be inspected
+        const partial = err.partial;
+        if (partial && partial.steps.length > 0) {
+          setRunData(processRunData(partial.runInfo, partial.steps, { stepsTruncated: true, source: { type: 'api', profile } }));
+          setError(`Fetch cancelled after loading ${partial.steps.length} steps; the timeline below is incomplete.`);
+        } else {
+          setError('Fetch cancelled');
+        }
+      } else {
+        setError(`Error: ${err.message || 'Unknown error occurred'}`);
+        console.error("Detailed error:", err);
+      }
+    } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+        setLoading(false);
+        setFetchProgress(null);
+      }
+    }
+  };
+
+  // POST a request that streams a run and add its events to `streamLog` as they arrive, each
+  // with the client time it was received. `render` redraws the run from the log and `onEvent`
+  // sees every new entry. Deltas come in bursts, so they redraw on a timer; every other event,
+  // and the end of the stream, redraws at once.
+  const streamRunEvents = async (url, body, debugKey, label, signal, streamLog, render, onEvent = () => {}) => {
+    let renderTimer = null;
+    const redraw = () => {
+      renderTimer = null;
+      render();
+    };
+    
+    try {
+      await apiPostStream(url, body, debugKey, label, signal, ({ event, data }) => {
+        const entry = { event, receivedAt: Date.now(), data: data === '[DONE]' ? null : JSON.parse(data) };
+        streamLog.events.push(entry);
+        onEvent(entry);
+        if (event === 'error') {
+          setError(`Run stream error: ${(entry.data && entry.data.message) || data}`);
+        }
+        
+        if (event.endsWith('.delta')) {
+          if (!renderTimer) renderTimer = setTimeout(redraw, STREAM_RENDER_INTERVAL);
+        } else {
+          clearTimeout(renderTimer);
+          redraw();
+        }
+      });
+    } finally {
+      clearTimeout(renderTimer);
+      streamLog.done = true;
+      render();
+    }
+  };
+
+  // Create a run on the thread with `stream: true`, optionally after adding a user message, and
+  // build the timeline from its server-sent events as they arrive. Every event is logged with
+  // the client time it was received, which gives millisecond timings the API does not report.
+  const launchRun = async () => {
+    if (!threadId || !assistantId || !apiKey) {
+      setError('Thread ID, Assistant ID, and API Key are required to launch a run');
+      return;
+    }
+    
+    stopFollowing();
+    cancelFetch();
+    const targetThreadId = threadId;
+    const profile = getProfileSummary();
+    
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    
+    setLoading(true);
+    setError(null);
+    setDebugInfo(null);
+    setFetchProgress({ message: 'Starting run...' });
+    
+    const streamLog = { requestedAt: null, done: false, events: [] };
+    const source = { type: 'stream', profile };
+    const render = () => {
+      if (abortControllerRef.current !== abortController) return;
+      const run = processStreamedRun({ ...streamLog, events: [...streamLog.events] }, { source });
+      if (run) setRunData(run);
+      setFetchProgress({ message: `Streaming run: ${streamLog.events.length} events received...` });
+    };
+    
+    try {
+      if (launchSettings.message.trim()) {
+        await apiPost(
+          apiUrl(`/threads/${targetThreadId}/messages`),
+          { role: 'user', content: launchSettings.message },
+          'createMessage', 'Create message', abortController.signal
+        );
+      }
+      
+      const body = { assistant_id: assistantId, stream: true };
+      if (launchSettings.model.trim()) body.model = launchSettings.model.trim();
+      if (launchSettings.instructions.trim()) body.instructions = launchSettings.instructions;
+      
+      streamLog.requestedAt = Date.now();
+      await streamRunEvents(
+        apiUrl(`/threads/${targetThreadId}/runs`), body, 'launch', 'Launch run', abortController.signal, streamLog, render,
+        (entry) => {
+          // Point the URL at the run as soon as the stream names it
+          if (entry.event === 'thread.run.created') {
+            requestedRunKeyRef.current = `${targetThreadId}/${entry.data.id}`;
+            setRunId(entry.data.id);
+            setSearchParams({ thread: targetThreadId, run: entry.data.id });
+          }
+        }
+      );
+    } catch (err) {
+      if (abortControllerRef.current !== abortController) return;
+      if (err.name === 'AbortError') {
+        setError(streamLog.events.length > 0
+          ? `Stopped listening after ${streamLog.events.length} events; the run itself keeps going on the server.`
+          : 'Launch cancelled');
+      } else {
+        setError(`Error: ${err.message || 'Unknown error occurred'}`);
+        console.error("Detailed error:", err);
+      }
+    } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+        setLoading(false);
+        setFetchProgress(null);
+      }
+    }
+  };
+
+  // Answer the tool calls the loaded run is waiting on with the outputs typed in the required
+  // action panel, then watch the run continue: a streamed run streams on into the same log, so
+  // it keeps its event timings, and any other run is followed by polling. Submitting counts as
+  // following, so loading another run meanwhile cancels it.
+  const submitToolOutputs = async () => {
+    if (!apiKey) {
+      setError('An API Key is required to submit tool outputs');
+      return;
+    }
+    
+    const run = runData;
+    const url = apiUrl(`/threads/${run.thread_id}/runs/${run.id}/submit_tool_outputs`);
+    const toolOutputs = buildToolOutputs(getPendingToolCalls(run), toolOutputDrafts);
+    const profile = getProfileSummary();
+    
+    stopFollowing();
+    const abortController = new AbortController();
+    followAbortRef.current = abortController;
+    setSubmittingToolOutputs(true);
+    setError(null);
+    
+    try {
+      if (run.stream) {
+        const streamLog = { requestedAt: run.stream.requestedAt, done: false, events: [...run.stream.events] };
+        const source = { type: 'stream', profile };
+        const render = () => {
+          if (abortController.signal.aborted) return;
+          setRunData(processStreamedRun({ ...streamLog, events: [...streamLog.events] }, { source }));
+        };
+        await streamRunEvents(
+          url, { tool_outputs: toolOutputs, stream: true }, 'submitToolOutputs', 'Submit tool outputs',
+          abortController.signal, streamLog, render
+        );
+        setToolOutputDrafts({});
+        return;
+      }
+      
+      const runInfo = await apiPost(url, { tool_outputs: toolOutputs }, 'submitToolOutputs', 'Submit tool outputs', abortController.signal);
+      const extras = {
+        messages: run.messages,
+        messagesError: run.messagesError,
+        assistant: run.assistant,
+        assistantError: run.assistantError,
+        source: { type: 'api', profile }
+      };
+      setToolOutputDrafts({});
+      setRunData(processRunData(runInfo, run.rawSteps, extras));
+      if (!TERMINAL_RUN_STATUSES.includes(runInfo.status)) {
+        startFollowing(runInfo, run.rawSteps, extras);
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      setError(`Error submitting tool outputs: ${err.message || 'Unknown error occurred'}`);
+      console.error("Error submitting tool outputs:", err);
+    } finally {
+      if (followAbortRef.current === abortController) followAbortRef.current = null;
+      setSubmittingToolOutputs(false);
+    }
+  };
+
+  // Load a Responses API response, the responses before it in its previous_response_id chain,
+  // and the input items of each
+  const fetchResponseData = async (targetResponseId = responseId) => {
+    if (!targetResponseId || !apiKey) {
+      setError('Response ID and API Key are required');
+      return;
+    }
+    
+    stopFollowing();
+    cancelFetch();
+    requestedRunKeyRef.current = targetResponseId;
+    const profile = getProfileSummary();
+    
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    
+    setLoading(true);
+    setError(null);
+    setDebugInfo(null);
+    
+    try {
+      const responses = [];
+      const inputItems = {};
+      let nextId = targetResponseId;
+      while (nextId && responses.length < RESPONSE_CHAIN_MAX) {
+        setFetchProgress({ message: `Fetching response ${responses.length + 1} of the chain...` });
+        let response;
+        try {
+          response = await apiGet(apiUrl(`/responses/${nextId}`), 'response', 'Response', abortController.signal);
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          throw new Error(`Error fetching response ${nextId}: ${err.message || 'Network error'}`);
+        }
+        try {
+          inputItems[response.id] = await apiGetAll(
+            apiUrl(`/responses/${response.id}/input_items?order=asc`),
+            'inputItems', 'Input items', abortController.signal
+          );
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          throw new Error(`Error fetching input items of ${response.id} (page ${err.page}): ${err.message || 'Network error'}`);
+        }
+        responses.push(response);
+        nextId = response.previous_response_id;
+      }
+      
+      setRunData(processResponseChain(responses, inputItems, {
+        source: nextId ? { type: 'responses', truncatedAt: nextId, profile } : { type: 'responses', profile }
+      }));
+      
+      if (searchParams.get('response') !== targetResponseId) {
+        setSearchParams({ response: targetResponseId });
+      }
+    } catch (err) {
+      if (abortControllerRef.current !== abortController) return;
+      if (err.name === 'AbortError') {
+        setError('Fetch cancelled');
+      } else {
+        setError(`Error: ${err.message || 'Unknown error occurred'}`);
+        console.error("Detailed error:", err);
+      }
+    } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+        setLoading(false);
+        setFetchProgress(null);
+      }
+    }
+  };
+
+  // Load the run or response linked from the URL when navigating to a different one, and mirror
+  // the step parameter into the selection
+  const handleUrlChange = (params) => {
+    const urlThreadId = params.get('thread');
+    const urlRunId = params.get('run');
+    const urlResponseId = params.get('response');
+    const urlStep = parseInt(params.get('step'), 10);
+    
+    if (urlResponseId && urlResponseId !== requestedRunKeyRef.current) {
+      setApiMode('responses');
+      setResponseId(urlResponseId);
+      if (apiKey) {
+        fetchResponseData(urlResponseId);
+      } else {
+        setError('Enter an API Key and press Fetch Response to load the linked response');
+      }
+    } else if (urlThreadId && urlRunId && `${urlThreadId}/${urlRunId}` !== requestedRunKeyRef.current) {
+      setThreadId(urlThreadId);
+      setRunId(urlRunId);
+      if (apiKey) {
+        fetchRunData(urlRunId, urlThreadId);
+      } else {
+        setError('Enter an API Key and press Fetch Run Data to load the linked run');
+      }
+    }
+    
+    setSelectedStepIndex(urlStep > 0 ? urlStep - 1 : null);
+  };
+  urlChangeHandlerRef.current = handleUrlChange;
+
+  const fetchThreadRuns = async () => {
+    if (!threadId || !apiKey) {
+      setError('Thread ID and API Key are required to browse runs');
+      return;
+    }
+    
+    setThreadRunsLoading(true);
+    setError(null);
+    
+    try {
+      const runs = await apiGetAll(apiUrl(`/threads/${threadId}/runs`), 'threadRuns', 'Thread runs');
+      setThreadRuns(runs);
+    } catch (err) {
+      setError(`Error fetching thread runs (page ${err.page}): ${err.message || 'Network error'}`);
+      console.error("Error fetching thread runs:", err);
+    } finally {
+      setThreadRunsLoading(false);
+    }
+  };
+
+  const toggleThreadRunsSort = (key) => {
+    setThreadRunsSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const getSortedThreadRuns = () => {
+    if (!threadRuns) return [];
+    const column = THREAD_RUN_COLUMNS.find(c => c.key === threadRunsSort.key);
+    const sorted = [...threadRuns].sort((a, b) => {
+      const aValue = column.value(a);
+      const bValue = column.value(b);
+      if (aValue < bValue) return -1;
+      if (aValue > bValue) return 1;
+      return 0;
+    });
+    return threadRunsSort.direction === 'asc' ? sorted : sorted.reverse();
+  };
+
+  const openThreadRun = (run) => {
+    if (loading) return;
+    setRunId(run.id);
+    if (run.assistant_id) setAssistantId(run.assistant_id);
+    fetchRunData(run.id);
+  };
+
+  // Load the second run of a comparison; the currently loaded run is the baseline
+  const loadCompareRun = async () => {
+    const targetThreadId = compareThreadId || runData.thread_id;
+    if (!compareRunId || !apiKey) {
+      setError('Run ID and API Key are required to compare runs');
+      return;
+    }
+    
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setCompareLoading(true);
+    setError(null);
+    
+    try {
+      const { runInfo, steps } = await fetchRunAndSteps(targetThreadId, compareRunId, abortController.signal);
+      setCompareData(processRunData(runInfo, steps));
+      setShowCompareForm(false);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      setError(`Error loading comparison run: ${err.message || 'Unknown error occurred'}`);
+      console.error("Error loading comparison run:", err);
+    } finally {
+      if (abortControllerRef.current === abortController) abortControllerRef.current = null;
+      setCompareLoading(false);
+    }
+  };
+
+  // Duration of a step, treating a step that is still open as running until the run's end
+  const getStepDuration = (step, run) => (step.ended_at || run.completed_at) - step.started_at;
+
+  const getKeyExpiry = (minutes = keyExpiryMinutes) => (minutes ? Date.now() + minutes * 60000 : null);
+
+  const changeKeyStorageMode = (mode) => {
+    if (mode !== 'encrypted') {
+      profiles.forEach(profile => localStorage.removeItem(profileKeyItem(ENCRYPTED_KEY_ITEM, profile.id)));
+      setEncryptedKeyEntry(null);
+    }
+    setKeyStorageMode(mode);
+    setKeyNotice(null);
+  };
+
+  const saveEncryptedApiKey = async () => {
+    if (!apiKey || !keyPassphrase) {
+      setKeyNotice('Enter both an API key and a passphrase to save the key encrypted.');
+      return;
+    }
+    try {
+      const expiresAt = getKeyExpiry();
+      const entry = { ...(await encryptSecret(apiKey, keyPassphrase)), expiresAt };
+      localStorage.setItem(profileKeyItem(ENCRYPTED_KEY_ITEM, activeProfile.id), JSON.stringify(entry));
+      setEncryptedKeyEntry(entry);
+      setKeyExpiresAt(expiresAt);
+      setKeyPassphrase('');
+      setKeyNotice('API key saved encrypted. You will need the passphrase to unlock it after a reload.');
+    } catch (err) {
+      setKeyNotice(`Could not encrypt the API key: ${err.message}`);
+    }
+  };
+
+  const unlockEncryptedApiKey = async () => {
+    try {
+      setApiKey(await decryptSecret(encryptedKeyEntry, keyPassphrase));
+      setKeyExpiresAt(encryptedKeyEntry.expiresAt || null);
+      setKeyPassphrase('');
+      setKeyNotice(null);
+    } catch (err) {
+      setKeyNotice('Wrong passphrase, the API key could not be decrypted.');
+    }
+  };
+
+  const updateResolvedFile = (fileId, patch) => {
+    setResolvedFiles(prev => ({ ...prev, [fileId]: { ...(prev[fileId] || {}), ...patch } }));
+  };
+
+  // Download a file's content into an object URL, keeping a text excerpt for CSV/text previews
+  const loadFileContent = async (fileId, metadata, hint = null) => {
+    updateResolvedFile(fileId, { contentStatus: 'loading' });
+    try {
+      const blob = await apiGetBlob(apiUrl(`/files/${fileId}/content`), 'fileContent', 'File content');
+      const kind = getFilePreviewKind(metadata && metadata.filename, blob.type) || hint;
+      const text = kind === 'csv' || kind === 'text'
+        ? (await blob.slice(0, FILE_PREVIEW_MAX_BYTES).text())
+        : null;
+      const objectUrl = URL.createObjectURL(blob);
+      fileObjectUrlsRef.current.push(objectUrl);
+      updateResolvedFile(fileId, { contentStatus: 'loaded', kind, text, objectUrl });
+      return objectUrl;
+    } catch (err) {
+      console.error("Error fetching file content:", err);
+      updateResolvedFile(fileId, { contentStatus: 'error', contentError: err.message });
+      return null;
+    }
+  };
+
+  // Fetch a file's metadata once per set of credentials, and its content too when it can be previewed.
+  // A failed request is forgotten so the next render or a retry click can try again.
+  const resolveFile = async (fileId, hint = null) => {
+    if (requestedFileIdsRef.current.has(fileId)) return;
+    requestedFileIdsRef.current.add(fileId);
+    updateResolvedFile(fileId, { status: 'loading' });
+    
+    try {
+      const metadata = await apiGet(apiUrl(`/files/${fileId}`), 'file', 'File');
+      updateResolvedFile(fileId, { status: 'loaded', metadata });
+      
+      const kind = getFilePreviewKind(metadata.filename) || hint;
+      if (kind && metadata.bytes <= FILE_PREVIEW_MAX_BYTES) {
+        await loadFileContent(fileId, metadata, hint);
+      }
+    } catch (err) {
+      console.error("Error fetching file:", err);
+      requestedFileIdsRef.current.delete(fileId);
+      updateResolvedFile(fileId, { status: 'error', error: err.message });
+    }
+  };
+  resolveFileRef.current = resolveFile;
+
+  const downloadFile = async (fileId) => {
+    const file = resolvedFiles[fileId] || {};
+    const objectUrl = file.objectUrl || await loadFileContent(fileId, file.metadata);
+    if (!objectUrl) return;
+    
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = file.metadata && file.metadata.filename ? file.metadata.filename.split('/').pop() : fileId;
+    link.click();
+  };
+
+  // Save the raw API objects plus the derived timeline as a versioned, self-contained bundle
+  const exportRun = () => {
+    const bundle = { ...buildRunBundle(runData), timeline: timelineData };
+    downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }), `${runData.id}.json`);
+  };
+
+  // Standalone copy of the rendered timeline, or null when it is not on screen
+  const getTimelineSvg = () => {
+    const svg = timelineContainerRef.current && timelineContainerRef.current.querySelector('svg');
+    return svg ? serializeSvg(svg, { omit: TIMELINE_EXPORT_OMIT }) : null;
+  };
+
+  const exportTimeline = async (format) => {
+    const timelineSvg = getTimelineSvg();
+    if (!timelineSvg) return;
+    
+    try {
+      const blob = format === 'png'
+        ? await svgToPngBlob(timelineSvg)
+        : new Blob([timelineSvg.markup], { type: 'image/svg+xml' });
+      downloadBlob(blob, `${runData.id}-timeline.${format}`);
+    } catch (err) {
+      setError(`Error exporting timeline: ${err.message}`);
+      console.error("Error exporting timeline:", err);
+    }
+  };
+
+  // Incident report with the run summary, the timeline picture and every step. Markdown gets the
+  // timeline as an embedded PNG, since SVG images are often not shown by Markdown viewers.
+  const exportReport = async (format) => {
+    const cost = estimateCost(runData.usage, findModelPrice(modelPrices, runData.model));
+    const blocks = buildRunReport(runData, { estimatedCost: cost !== null ? formatCost(cost) : null });
+    const timelineSvg = getTimelineSvg();
+    
+    try {
+      if (format === 'md') {
+        const timelineImage = timelineSvg ? await blobToDataUrl(await svgToPngBlob(timelineSvg)) : null;
+        downloadBlob(new Blob([renderMarkdownReport(blocks, { timelineImage })], { type: 'text/markdown' }), `${runData.id}-report.md`);
+      } else {
+        const html = renderHtmlReport(blocks, { timelineSvg: timelineSvg && timelineSvg.markup });
+        downloadBlob(new Blob([html], { type: 'text/html' }), `${runData.id}-report.html`);
+      }
+    } catch (err) {
+      setError(`Error exporting report: ${err.message}`);
+      console.error("Error exporting report:", err);
+    }
+  };
+
+  // Load a bundle written by exportRun. Nothing here touches the network.
+  const importRun = async (file) => {
+    if (!file) return;
+    
+    stopFollowing();
+    cancelFetch();
+    setError(null);
+    
+    try {
+      const bundle = await readRunBundle(file);
+      
+      // An imported run has no URL of its own
+      requestedRunKeyRef.current = '';
+      setSearchParams({});
+      setRunData(processRunBundle(bundle, file.name));
+    } catch (err) {
+      setError(`Error importing run: ${err.message}`);
+      console.error("Error importing run:", err);
+    }
+  };
+
+  const updateHistoryEntry = async (key, changes) => {
+    try {
+      await updateRunHistoryEntry(key, changes);
+      await refreshHistory();
+    } catch (err) {
+      setHistoryError(err.message);
+    }
+  };
+
+  const removeHistoryEntry = async (key) => {
+    try {
+      await deleteRunHistoryEntry(key);
+      await refreshHistory();
+    } catch (err) {
+      setHistoryError(err.message);
+    }
+  };
+
+  const clearHistory = async () => {
+    if (!window.confirm('Forget every run in the history, including starred ones?')) return;
+    try {
+      await clearRunHistory();
+      await refreshHistory();
+    } catch (err) {
+      setHistoryError(err.message);
+    }
+  };
+
+  // Unlike clearHistory this also forgets the keys and IDs; the history goes too since its
+  // entries hold full transcripts
+  const clearSavedData = async () => {
+    if (!window.confirm('Forget the saved IDs, API keys, sensitive settings and every run in the history?')) return;
+    localStorage.removeItem('openai_debug_run_id');
+    localStorage.removeItem('openai_debug_thread_id');
+    localStorage.removeItem('openai_debug_assistant_id');
+    localStorage.removeItem('openai_debug_response_id');
+    clearStoredApiKey({ allProfiles: true });
+    setProfiles(prev => prev.map(profile => ({ ...profile, settings: withoutSensitiveSettings(profile.settings) })));
+    setKeyNotice(null);
+    setRunId('');
+    setThreadId('');
+    setAssistantId('');
+    setResponseId('');
+    try {
+      await clearRunHistory();
+      await refreshHistory();
+    } catch (err) {
+      setHistoryError(err.message);
+    }
+  };
+
+  // Show the cached copy of a past run. Its URL is set without loading it again; fetching it
+  // from the form brings it up to date.
+  const openHistoryEntry = async (entry) => {
+    stopFollowing();
+    cancelFetch();
+    setError(null);
+    
+    try {
+      const bundle = await getRunHistoryPayload(entry.key);
+      if (!bundle) throw new Error('No cached copy of this run is left');
+      const run = processRunBundle(bundle, null, { type: 'history', cachedAt: bundle.exported_at });
+      
+      if (entry.kind === 'response') {
+        requestedRunKeyRef.current = run.id;
+        setApiMode('responses');
+        setResponseId(run.id);
+        setSearchParams({ response: run.id });
+      } else {
+        requestedRunKeyRef.current = `${run.thread_id}/${run.id}`;
+        setApiMode('assistants');
+        setThreadId(run.thread_id);
+        setRunId(run.id);
+        setSearchParams({ thread: run.thread_id, run: run.id });
+      }
+      setRunData(run);
+      updateHistoryEntry(entry.key, { openedAt: Date.now() });
+    } catch (err) {
+      setError(`Error opening run from history: ${err.message}`);
+      console.error("Error opening run from history:", err);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDraggingFile(false);
+    const file = event.dataTransfer.files && event.dataTransfer.files[0];
+    importRun(file);
+  };
+
+  const scrollStepIntoView = (index) => {
+    if (stepRefs.current[index]) {
+      stepRefs.current[index].scrollIntoView({ 
+        behavior: 'smooth',
+        block: 'start'
+      });
+    }
+  };
+
+  // Selecting a step is a navigation, so back/forward walks through previously selected steps
+  const scrollToStep = (index) => {
+    if (index === selectedStepIndex) {
+      scrollStepIntoView(index);
+      return;
+    }
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      next.set('step', index + 1);
+      return next;
+    });
+  };
+
+  // Indexes of the steps left by the filter bar, or null when nothing is filtered
+  const matchingStepIndexes = useMemo(() => (runData && isStepFilterActive(stepFilter)
+    ? new Set(runData.steps
+      .map((step, index) => (stepMatchesFilter(step, stepFilter, runData.messages) ? index : null))
+      .filter(index => index !== null))
+    : null), [runData, stepFilter]);
+  
+  // The timeline redraws whenever its rows or markers change, so keep them stable across
+  // renders that do not touch the run, e.g. typing in the form
+  const timelineData = useMemo(
+    () => prepareTimelineData(runData, selectedStepIndex, matchingStepIndexes),
+    [runData, selectedStepIndex, matchingStepIndexes]
+  );
+  const timelineMarkers = useMemo(() => getTimelineMarkers(runData), [runData]);
+  const compareTimelines = useMemo(() => (runData && compareData
+    ? {
+      A: { data: prepareTimelineData(runData, selectedStepIndex), markers: getFailureMarkers(runData) },
+      B: { data: prepareTimelineData(compareData, null), markers: getFailureMarkers(compareData) }
+    }
+    : null), [runData, compareData, selectedStepIndex]);
+  const currentHistoryEntry = runData ? historyEntries.find(entry => entry.key === getHistoryKey(runData)) : null;
+
+  const updateApiSetting = (field, value) => {
+    setApiSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Make another profile active, with its own key: the one entered earlier this session, or
+  // whatever its key storage holds
+  const switchProfile = (profileId) => {
+    if (profileId === activeProfile.id) return;
+    profileKeysRef.current[activeProfile.id] = { key: apiKey, expiresAt: keyExpiresAt };
+    
+    const remembered = profileKeysRef.current[profileId];
+    const loaded = remembered && remembered.key && (!remembered.expiresAt || remembered.expiresAt > Date.now())
+      ? remembered
+      : loadInitialApiKey(keyStorageMode, keyExpiryMinutes, profileId);
+    setActiveProfileId(profileId);
+    setApiKey(loaded.key);
+    setKeyExpiresAt(loaded.expiresAt);
+    setEncryptedKeyEntry(readStoredKeyEntry(localStorage, profileKeyItem(ENCRYPTED_KEY_ITEM, profileId)));
+    setKeyPassphrase('');
+    setKeyNotice(null);
+  };
+
+  // A new profile starts from the active profile's settings, without its key
+  const addProfile = () => {
+    const profile = {
+      id: `profile_${Date.now().toString(36)}`,
+      name: `Profile ${profiles.length + 1}`,
+      environment: 'staging',
+      settings: activeProfile.settings
+    };
+    setProfiles(prev => [...prev, profile]);
+    switchProfile(profile.id);
+  };
+
+  const deleteProfile = () => {
+    if (profiles.length <= 1) return;
+    if (!window.confirm(`Delete the profile "${activeProfile.name}" and its saved key?`)) return;
+    const deletedId = activeProfile.id;
+    const remaining = profiles.filter(profile => profile.id !== deletedId);
+    switchProfile(remaining[0].id);
+    removeStoredProfileKey(deletedId);
+    delete profileKeysRef.current[deletedId];
+    setProfiles(remaining);
+  };
+
+  const updateActiveProfile = (field, value) => {
+    setProfiles(prev => prev.map(profile => (profile.id === activeProfile.id ? { ...profile, [field]: value } : profile)));
+  };
+
+  // What a loaded run remembers about the profile it was fetched with
+  const getProfileSummary = () => ({ id: activeProfile.id, name: activeProfile.name, environment: activeProfile.environment });
+
+  const renderEnvironmentBadge = (profile, className = '') => (
+    <span className={`px-2 py-0.5 text-xs font-medium rounded ${PROFILE_ENVIRONMENTS[profile.environment] || PROFILE_ENVIRONMENTS.other} ${className}`}>
+      {profile.name} &middot; {profile.environment}
+    </span>
+  );
+
+  const updateCustomHeader = (headerIndex, field, value) => {
+    setApiSettings(prev => ({
+      ...prev,
+      customHeaders: prev.customHeaders.map((header, i) => (i === headerIndex ? { ...header, [field]: value } : header))
+    }));
+  };
+
+  // Options for a run launched from the viewer on the thread and assistant entered above
+  const renderLaunchForm = () => (
+    <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded">
+      <div className="font-semibold mb-2">Launch a streamed run</div>
+      <p className="mb-2 text-sm text-gray-600">
+        Starts a run of assistant <span className="font-mono">{assistantId || '(none)'}</span> on thread{' '}
+        <span className="font-mono">{threadId || '(none)'}</span> and times every streamed event as it arrives.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div className="md:col-span-2">
+          <label htmlFor="launchMessage" className="block font-medium text-gray-700 mb-1">User message (optional, added to the thread first)</label>
+          <textarea
+            id="launchMessage"
+            value={launchSettings.message}
+            onChange={(e) => setLaunchSettings({ ...launchSettings, message: e.target.value })}
+            className="w-full p-2 border border-gray-300 rounded"
+            rows={2}
+          />
+        </div>
+        <div>
+          <label htmlFor="launchModel" className="block font-medium text-gray-700 mb-1">Model override</label>
+          <input
+            id="launchModel"
+            type="text"
+            value={launchSettings.model}
+            onChange={(e) => setLaunchSettings({ ...launchSettings, model: e.target.value })}
+            className="w-full p-2 border border-gray-300 rounded"
+            placeholder="Assistant default"
+          />
+        </div>
+        <div>
+          <label htmlFor="launchInstructions" className="block font-medium text-gray-700 mb-1">Instructions override</label>
+          <textarea
+            id="launchInstructions"
+            value={launchSettings.instructions}
+            onChange={(e) => setLaunchSettings({ ...launchSettings, instructions: e.target.value })}
+            className="w-full p-2 border border-gray-300 rounded"
+            rows={2}
+            placeholder="Assistant default"
+          />
+        </div>
+      </div>
+      <button
+        onClick={launchRun}
+        disabled={loading}
+        className="mt-3 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-blue-300"
+      >
+        {loading ? 'Running...' : 'Start Streaming Run'}
+      </button>
+    </div>
+  );
+
+  // Every server-sent event of a streamed run, timed from the moment the run was requested
+  const renderStreamEvents = () => {
+    if (!runData.stream) return null;
+    const { requestedAt, events } = runData.stream;
+    
+    return (
+      <details className="mt-4 pt-4 border-t border-gray-200">
+        <summary className="font-semibold cursor-pointer">Stream Events ({events.length})</summary>
+        <div className="mt-2 overflow-auto max-h-80">
+          <table className="w-full text-sm text-left">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="px-2 py-1 w-24 text-right">Offset</th>
+                <th className="px-2 py-1">Event</th>
+                <th className="px-2 py-1">Object</th>
+                <th className="px-2 py-1">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map((entry, i) => (
+                <tr key={i} className="border-t border-gray-200">
+                  <td className="px-2 py-1 text-right whitespace-nowrap">+{formatLatency(entry.receivedAt - requestedAt)}</td>
+                  <td className="px-2 py-1 font-mono">{entry.event}</td>
+                  <td className="px-2 py-1 font-mono">{(entry.data && entry.data.id) || ''}</td>
+                  <td className="px-2 py-1">{(entry.data && entry.data.status) || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    );
+  };
+
+  const renderApiSettings = () => (
+    <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded">
+      <div className="font-semibold mb-2">Connection Profile</div>
+      <div className="mb-4 flex flex-wrap gap-2 items-end text-sm">
+        <div>
+          <label className="block font-medium text-gray-700 mb-1">Profile Name</label>
+          <input
+            type="text"
+            value={activeProfile.name}
+            onChange={(e) => updateActiveProfile('name', e.target.value)}
+            className="p-2 border border-gray-300 rounded"
+          />
+        </div>
+        <div>
+          <label className="block font-medium text-gray-700 mb-1">Environment</label>
+          <select
+            value={activeProfile.environment}
+            onChange={(e) => updateActiveProfile('environment', e.target.value)}
+            className="p-2 border border-gray-300 rounded"
+          >
+            {Object.keys(PROFILE_ENVIRONMENTS).map(environment => (
+              <option key={environment} value={environment}>{environment}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={addProfile}
+          className="px-3 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+        >
+          New Profile
+        </button>
+        {profiles.length > 1 && (
+          <button
+            onClick={deleteProfile}
+            className="px-3 py-2 bg-red-100 text-red-700 rounded hover:bg-red-200"
+          >
+            Delete Profile
+          </button>
+        )}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 text-sm">
+        <div>
+          <label className="block font-medium text-gray-700 mb-1">Base URL</label>
+          <input
+            type="text"
+            value={apiSettings.baseUrl}
+            onChange={(e) => updateApiSetting('baseUrl', e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+            placeholder={DEFAULT_API_SETTINGS.baseUrl}
+          />
+        </div>
+        <div>
+          <label className="block font-medium text-gray-700 mb-1">API Version (query parameter)</label>
+          <input
+            type="text"
+            value={apiSettings.apiVersion}
+            onChange={(e) => updateApiSetting('apiVersion', e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+            placeholder="e.g. 2024-05-01-preview"
+          />
+        </div>
+        <div>
+          <label className="block font-medium text-gray-700 mb-1">Send API Key As</label>
+          <select
+            value={apiSettings.authStyle}
+            onChange={(e) => updateApiSetting('authStyle', e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+          >
+            <option value="bearer">Authorization: Bearer</option>
+            <option value="api-key">api-key header (Azure)</option>
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium text-gray-700 mb-1">OpenAI-Organization</label>
+          <input
+            type="text"
+            value={apiSettings.organization}
+            onChange={(e) => updateApiSetting('organization', e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+            placeholder="org-..."
+          />
+        </div>
+        <div>
+          <label className="block font-medium text-gray-700 mb-1">OpenAI-Project</label>
+          <input
+            type="text"
+            value={apiSettings.project}
+            onChange={(e) => updateApiSetting('project', e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+            placeholder="proj_..."
+          />
+        </div>
+      </div>
+      
+      <div className="mt-4 text-sm">
+        <p className="font-medium text-gray-700 mb-1">Custom Headers</p>
+        {apiSettings.customHeaders.map((header, headerIndex) => (
+          <div key={headerIndex} className="flex gap-2 mb-2">
+            <input
+              type="text"
+              value={header.name}
+              onChange={(e) => updateCustomHeader(headerIndex, 'name', e.target.value)}
+              className="w-48 p-1 border border-gray-300 rounded font-mono"
+              placeholder="X-Header-Name"
+            />
+            <input
+              type="text"
+              value={header.value}
+              onChange={(e) => updateCustomHeader(headerIndex, 'value', e.target.value)}
+              className="flex-grow p-1 border border-gray-300 rounded font-mono"
+              placeholder="value"
+            />
+            <button
+              onClick={() => updateApiSetting('customHeaders', apiSettings.customHeaders.filter((_, i) => i !== headerIndex))}
+              className="text-red-600 hover:underline"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <button
+            onClick={() => updateApiSetting('customHeaders', [...apiSettings.customHeaders, { name: '', value: '' }])}
+            className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+          >
+            Add Header
+          </button>
+          <button
+            onClick={() => setApiSettings(DEFAULT_API_SETTINGS)}
+            className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+          >
+            Reset to OpenAI Defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  // Render one request/response pair recorded by apiGet
+  const renderDebugRequest = (debugKey, title) => {
+    if (!debugInfo[`${debugKey}Url`]) return null;
+    
+    const status = debugInfo[`${debugKey}Status`];
+    const response = debugInfo[`${debugKey}Response`];
+    const page = debugInfo[`${debugKey}Page`];
+    
+    return (
+      <div key={debugKey} className="mb-4">
+        <h3 className="font-medium text-lg mb-1">{title}:</h3>
+        <p className="mb-1"><span className="font-medium">URL:</span> {debugInfo[`${debugKey}Url`]}</p>
+        {page && (
+          <p className="mb-1"><span className="font-medium">Page:</span> {page}</p>
+        )}
+        <p className="mb-1"><span className="font-medium">Headers:</span></p>
+        <pre className="bg-gray-100 p-2 rounded text-sm mb-2 overflow-auto">
+          {JSON.stringify(debugInfo[`${debugKey}Headers`], null, 2)}
+        </pre>
+        
+        {status && (
+          <>
+            <p className="mb-1">
+              <span className="font-medium">Status:</span> {status} {debugInfo[`${debugKey}StatusText`]}
+            </p>
+            <p className="mb-1"><span className="font-medium">Response:</span></p>
+            <pre className="bg-gray-100 p-2 rounded text-sm overflow-auto max-h-40">
+              {typeof response === 'object' 
+                ? JSON.stringify(response, null, 2) 
+                : response}
+            </pre>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // Rename a model or change one of its prices in the editable price table. Prices are kept as
+  // typed so partial input like "0." survives; estimateCost converts them.
+  const updateModelPrice = (rowId, field, value) => {
+    setPriceRows(prev => prev.map(row => (row.id === rowId ? { ...row, [field]: value } : row)));
+  };
+
+  const removeModelPrice = (rowId) => {
+    setPriceRows(prev => prev.filter(row => row.id !== rowId));
+  };
+
+  // A row for the loaded run's model, or for a new name when that model already has one
+  const addModelPrice = () => {
+    setPriceRows(prev => {
+      const taken = new Set(prev.map(row => row.model));
+      let model = runData.model && !taken.has(runData.model) ? runData.model : 'new-model';
+      for (let n = 2; taken.has(model); n++) model = `new-model-${n}`;
+      return [...prev, toPriceRow(model, { prompt: 0, completion: 0 })];
+    });
+  };
+
+  const renderPriceEditor = () => (
+    <div className="mt-4 p-3 bg-gray-50 rounded border border-gray-200">
+      <p className="font-semibold mb-2">Model prices (USD per 1M tokens)</p>
+      <table className="text-sm">
+        <thead>
+          <tr className="text-left">
+            <th className="pr-2">Model / prefix</th>
+            <th className="pr-2">Prompt</th>
+            <th className="pr-2">Completion</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {priceRows.map((row, rowIndex) => {
+            // Only the first row of a name is used
+            const isUnused = !row.model || priceRows.findIndex(other => other.model === row.model) !== rowIndex;
+            return (
+              <tr key={row.id}>
+                <td className="pr-2 py-1">
+                  <input
+                    type="text"
+                    value={row.model}
+                    onChange={(e) => updateModelPrice(row.id, 'model', e.target.value)}
+                    title={isUnused ? 'Not used: enter a name no other row has' : undefined}
+                    className={`w-40 p-1 border rounded font-mono ${isUnused ? 'border-red-400' : 'border-gray-300'}`}
+                  />
+                </td>
+                <td className="pr-2 py-1">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={row.prompt}
+                    onChange={(e) => updateModelPrice(row.id, 'prompt', e.target.value)}
+                    className="w-24 p-1 border border-gray-300 rounded"
+                  />
+                </td>
+                <td className="pr-2 py-1">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={row.completion}
+                    onChange={(e) => updateModelPrice(row.id, 'completion', e.target.value)}
+                    className="w-24 p-1 border border-gray-300 rounded"
+                  />
+                </td>
+                <td className="py-1">
+                  <button onClick={() => removeModelPrice(row.id)} className="text-red-600 hover:underline">
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="mt-2 flex gap-2">
+        <button
+          onClick={addModelPrice}
+          className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+        >
+          Add Model
+        </button>
+        <button
+          onClick={() => setPriceRows(toPriceRows(DEFAULT_MODEL_PRICES))}
+          className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+        >
+          Reset to Defaults
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderConfigValue = (field, value) => {
+    if (value === null || value === undefined) return <span className="text-gray-400">not set</span>;
+    
+    if (field === 'instructions') {
+      return <pre className="whitespace-pre-wrap max-h-48 overflow-auto">{value}</pre>;
+    }
+    
+    if (field === 'tools' && Array.isArray(value)) {
+      return (
+        <details>
+          <summary className="cursor-pointer">
+            {value.length === 0 ? 'none' : value.map(tool => (tool.type === 'function' && tool.function ? tool.function.name : tool.type)).join(', ')}
+          </summary>
+          <pre className="mt-1 max-h-48 overflow-auto text-xs">{JSON.stringify(value, null, 2)}</pre>
+        </details>
+      );
+    }
+    
+    if (typeof value === 'object') {
+      return <pre className="text-xs whitespace-pre-wrap">{JSON.stringify(value, null, 2)}</pre>;
+    }
+    
+    return String(value);
+  };
+
+  // What the run executed with, next to the assistant's defaults; overridden settings are highlighted
+  const renderRunConfiguration = () => {
+    const run = runData.rawRun;
+    const assistant = runData.assistant;
+    
+    return (
+      <details className="mt-4 pt-4 border-t border-gray-200">
+        <summary className="font-semibold cursor-pointer">Run Configuration</summary>
+        {runData.assistantError && (
+          <p className="mt-2 text-sm text-red-700">Could not load assistant {runData.assistant_id}: {runData.assistantError}</p>
+        )}
+        <div className="mt-2 overflow-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="px-2 py-1 w-40">Setting</th>
+                <th className="px-2 py-1">Run</th>
+                <th className="px-2 py-1">Assistant Default</th>
+              </tr>
+            </thead>
+            <tbody>
+              {RUN_CONFIG_FIELDS.map(({ field, label, assistantField }) => {
+                const runValue = run[field];
+                const assistantValue = assistant && assistantField ? assistant[assistantField] : undefined;
+                const overridden = assistant && assistantField &&
+                  JSON.stringify(runValue) !== JSON.stringify(assistantValue);
+                
+                return (
+                  <tr key={field} className={`border-t border-gray-200 align-top ${overridden ? 'bg-yellow-50' : ''}`}>
+                    <td className="px-2 py-1 font-medium">
+                      {label}
+                      {overridden && <span className="ml-1 text-xs text-yellow-800">(overridden)</span>}
+                    </td>
+                    <td className="px-2 py-1">{renderConfigValue(field, runValue)}</td>
+                    <td className="px-2 py-1">
+                      {assistantField
+                        ? (assistant ? renderConfigValue(field, assistantValue) : <span className="text-gray-400">unknown</span>)
+                        : <span className="text-gray-400">run-only setting</span>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    );
+  };
+
+  // Why a run stopped, or what it is waiting for: last_error, incomplete_details and the
+  // tool calls of a pending required_action
+  const renderRunProblems = () => {
+    const { last_error: lastError, incomplete_details: incompleteDetails, required_action: requiredAction } = runData;
+    if (!lastError && !incompleteDetails && !requiredAction) return null;
+    
+    const pendingCalls = getPendingToolCalls(runData);
+    // Outputs can only be submitted while the run is still waiting for them
+    const canSubmit = runData.status === 'requires_action' && !runData.responses && pendingCalls.length > 0;
+    const outputErrors = getToolOutputErrors(pendingCalls, toolOutputDrafts);
+    
+    return (
+      <div className="mt-4 space-y-2">
+        {lastError && (
+          <div className="p-3 bg-red-50 text-red-700 border border-red-200 rounded">
+            <span className="font-semibold">Last error{lastError.code ? ` (${lastError.code})` : ''}:</span> {lastError.message}
+          </div>
+        )}
+        {incompleteDetails && (
+          <div className="p-3 bg-yellow-50 text-yellow-800 border border-yellow-200 rounded">
+            <span className="font-semibold">Incomplete:</span> {incompleteDetails.reason || JSON.stringify(incompleteDetails)}
+          </div>
+        )}
+        {requiredAction && (
+          <div className="p-3 bg-orange-50 text-orange-900 border border-orange-200 rounded">
+            <p className="font-semibold">
+              Required action: {requiredAction.type} ({pendingCalls.length} pending tool {pendingCalls.length === 1 ? 'call' : 'calls'})
+            </p>
+            {pendingCalls.map(toolCall => (
+              <div key={toolCall.id} className="mt-2">
+                <p>
+                  <span className="font-mono">{toolCall.id}</span>: {toolCall.function ? toolCall.function.name : toolCall.type}
+                </p>
+                {toolCall.function && (
+                  <pre className="mt-1 bg-white p-2 rounded overflow-auto text-sm max-h-40">
+                    {formatJsonString(toolCall.function.arguments || '{}')}
+                  </pre>
+                )}
+                {canSubmit && (
+                  <>
+                    <label htmlFor={`toolOutput-${toolCall.id}`} className="mt-2 block text-sm font-medium">
+                      Output for {toolCall.id}
+                    </label>
+                    <textarea
+                      id={`toolOutput-${toolCall.id}`}
+                      value={toolOutputDrafts[toolCall.id] || ''}
+                      onChange={(e) => setToolOutputDrafts({ ...toolOutputDrafts, [toolCall.id]: e.target.value })}
+                      className={`mt-1 w-full p-2 border rounded font-mono text-sm text-gray-900 ${toolOutputDrafts[toolCall.id] && outputErrors[toolCall.id] ? 'border-red-400' : 'border-gray-300'}`}
+                      rows={3}
+                      placeholder='{"result": "..."}'
+                    />
+                    {toolOutputDrafts[toolCall.id] && outputErrors[toolCall.id] && (
+                      <p className="text-sm text-red-700">{outputErrors[toolCall.id]}</p>
+                    )}
+                    {getToolOutputWarning(toolOutputDrafts[toolCall.id]) && (
+                      <p className="text-sm text-yellow-800">{getToolOutputWarning(toolOutputDrafts[toolCall.id])}</p>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+            {canSubmit && (
+              <button
+                onClick={submitToolOutputs}
+                disabled={loading || submittingToolOutputs || Object.keys(outputErrors).length > 0}
+                className="mt-3 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-blue-300"
+              >
+                {submittingToolOutputs ? 'Submitting...' : 'Submit Tool Outputs'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Token totals and estimated cost for the whole run
+  const renderUsagePanel = () => {
+    const usage = runData.usage;
+    const price = findModelPrice(modelPrices, runData.model);
+    
+    return (
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          <p><span className="font-semibold">Model:</span> {runData.model || 'N/A'}</p>
+          <p><span className="font-semibold">Prompt Tokens:</span> {formatTokens(usage && usage.prompt_tokens)}</p>
+          <p><span className="font-semibold">Completion Tokens:</span> {formatTokens(usage && usage.completion_tokens)}</p>
+          <p><span className="font-semibold">Total Tokens:</span> {formatTokens(usage && usage.total_tokens)}</p>
+          <p>
+            <span className="font-semibold">Estimated Cost:</span> {formatCost(estimateCost(usage, price))}
+            {usage && !price && <span className="ml-1 text-gray-500">(no price for this model)</span>}
+          </p>
+          <p>
+            <button
+              onClick={() => setShowPriceEditor(!showPriceEditor)}
+              className="text-blue-600 hover:underline"
+            >
+              {showPriceEditor ? 'Hide price table' : 'Edit price table'}
+            </button>
+          </p>
+        </div>
+        {showPriceEditor && renderPriceEditor()}
+      </div>
+    );
+  };
+
+  // Stacked bar of token usage per step, split into prompt and completion tokens
+  const renderTokenBar = () => {
+    const stepsWithUsage = runData.steps
+      .map((step, index) => ({ step, index }))
+      .filter(({ step }) => step.usage && step.usage.total_tokens > 0);
+    const totalTokens = stepsWithUsage.reduce((sum, { step }) => sum + step.usage.total_tokens, 0);
+    if (totalTokens === 0) return null;
+    
+    return (
+      <div className="mb-4 bg-white p-4 rounded-lg shadow">
+        <div className="flex justify-between text-sm mb-1">
+          <span className="font-semibold">Token usage by step</span>
+          <span className="text-gray-600">
+            <span className="inline-block w-3 h-3 mr-1 align-middle bg-indigo-400" />prompt
+            <span className="inline-block w-3 h-3 ml-3 mr-1 align-middle bg-emerald-400" />completion
+          </span>
+        </div>
+        <div className="flex w-full h-6 rounded overflow-hidden">
+          {stepsWithUsage.map(({ step, index }) => (
+            <div
+              key={step.id}
+              onClick={() => scrollToStep(index)}
+              title={`${index + 1}. ${step.type}: ${formatTokens(step.usage.prompt_tokens)} prompt + ${formatTokens(step.usage.completion_tokens)} completion`}
+              className={`flex h-full cursor-pointer border-r-2 border-white last:border-r-0 ${selectedStepIndex === index ? 'opacity-100' : 'opacity-80 hover:opacity-100'}`}
+              style={{ width: `${(step.usage.total_tokens / totalTokens) * 100}%` }}
+            >
+              <div className="h-full bg-indigo-400" style={{ flexGrow: step.usage.prompt_tokens || 0 }} />
+              <div className="h-full bg-emerald-400" style={{ flexGrow: step.usage.completion_tokens || 0 }} />
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // Percentile table and histograms over every run collected for analytics
+  const renderAnalytics = () => {
+    const finishedRuns = analyticsRuns.filter(run => TERMINAL_RUN_STATUSES.includes(run.status));
+    const series = buildLatencySeries(finishedRuns);
+    const selectedSeries = series.find(entry => entry.key === analyticsSeriesKey) || series[0];
+    
+    return (
+      <div className="mb-4 p-4 bg-white rounded-lg shadow">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Latency Analytics</div>
+          <button
+            onClick={() => setShowAnalytics(false)}
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+          >
+            Close
+          </button>
+        </div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Thread IDs (all of their runs), &quot;thread_id run_id&quot; pairs, or run IDs in the thread above, one per line
+        </label>
+        <textarea
+          value={analyticsInput}
+          onChange={(e) => setAnalyticsInput(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded font-mono text-sm"
+          rows={3}
+          placeholder={'thread_abc123\nthread_def456 run_abc123'}
+        />
+        <div className="mt-2 flex flex-wrap gap-2 items-center">
+          <button
+            onClick={loadAnalyticsRuns}
+            disabled={analyticsLoading}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-blue-300"
+          >
+            {analyticsLoading ? 'Loading...' : 'Load Runs'}
+          </button>
+          {analyticsLoading && (
+            <button
+              onClick={() => analyticsAbortRef.current && analyticsAbortRef.current.abort()}
+              className="px-4 py-2 bg-red-100 text-red-700 rounded hover:bg-red-200"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={() => analyticsImportRef.current.click()}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+          >
+            Add Bundles
+          </button>
+          <input
+            ref={analyticsImportRef}
+            type="file"
+            accept="application/json,.json"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              importAnalyticsBundles([...e.target.files]);
+              e.target.value = '';
+            }}
+          />
+          {runData && (
+            <button
+              onClick={() => addAnalyticsRuns([runData])}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              Add Loaded Run
+            </button>
+          )}
+          {analyticsRuns.length > 0 && (
+            <button
+              onClick={() => setAnalyticsRuns([])}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              Clear Runs
+            </button>
+          )}
+          {analyticsProgress && <span className="text-sm text-gray-600">{analyticsProgress.message}</span>}
+        </div>
+        {analyticsErrors.length > 0 && (
+          <ul className="mt-2 p-2 bg-red-50 text-red-700 border border-red-200 rounded text-sm list-disc list-inside">
+            {analyticsErrors.map((message, i) => <li key={i}>{message}</li>)}
+          </ul>
+        )}
+        
+        <p className="mt-3 text-sm text-gray-600">
+          {finishedRuns.length} {finishedRuns.length === 1 ? 'run' : 'runs'}
+          {analyticsRuns.length > finishedRuns.length && ` (${analyticsRuns.length - finishedRuns.length} still running, not counted)`}
+        </p>
+        
+        {series.length > 0 && (
+          <div className="mt-2 grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="overflow-auto max-h-96">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-gray-100 sticky top-0">
+                  <tr>
+                    <th className="px-2 py-1 font-semibold">Latency</th>
+                    <th className="px-2 py-1 font-semibold text-right">Count</th>
+                    {ANALYTICS_PERCENTILES.map(([name]) => (
+                      <th key={name} className="px-2 py-1 font-semibold text-right">{name}</th>
+                    ))}
+                    <th className="px-2 py-1 font-semibold text-right">Max</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {series.map(entry => (
+                    <tr
+                      key={entry.key}
+                      onClick={() => setAnalyticsSeriesKey(entry.key)}
+                      className={`border-t border-gray-200 cursor-pointer hover:bg-blue-50 ${selectedSeries.key === entry.key ? 'bg-blue-50' : ''}`}
+                    >
+                      <td className="px-2 py-1 font-mono">{entry.label}</td>
+                      <td className="px-2 py-1 text-right">{entry.count}</td>
+                      {ANALYTICS_PERCENTILES.map(([name]) => (
+                        <td key={name} className="px-2 py-1 text-right whitespace-nowrap">{formatLatency(entry[name])}</td>
+                      ))}
+                      <td className="px-2 py-1 text-right whitespace-nowrap">{formatLatency(entry.max)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <div className="text-sm font-semibold mb-1">
+                {selectedSeries.label} (mean {formatLatency(selectedSeries.mean)})
+              </div>
+              <LatencyHistogram values={selectedSeries.values} />
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderCompareForm = () => (
+    <div className="mb-4 p-4 bg-white rounded-lg shadow">
+      <div className="text-lg font-semibold mb-2">Compare with another run</div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Thread ID</label>
+          <input
+            type="text"
+            value={compareThreadId}
+            onChange={(e) => setCompareThreadId(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+            placeholder={runData.thread_id}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Run ID</label>
+          <input
+            type="text"
+            value={compareRunId}
+            onChange={(e) => setCompareRunId(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded"
+            placeholder="run_abc123"
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={loadCompareRun}
+            disabled={loading || compareLoading}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-blue-300"
+          >
+            {compareLoading ? 'Loading...' : 'Compare'}
+          </button>
+          <button
+            onClick={() => {
+              if (compareLoading) cancelFetch();
+              setShowCompareForm(false);
+            }}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  // Two timelines on a shared time scale plus a step-by-step diff table
+  const renderCompareView = () => {
+    const durationA = runData.completed_at - runData.started_at;
+    const durationB = compareData.completed_at - compareData.started_at;
+    const sharedDuration = Math.max(durationA, durationB);
+    const durationDelta = durationB - durationA;
+    const rows = alignStepSequences(runData.steps, compareData.steps);
+    
+    const formatDelta = (ms) => {
+      if (!ms) return '±0';
+      return `${ms > 0 ? '+' : '-'}${formatDuration(Math.abs(ms))}`;
+    };
+    
+    return (
+      <div className="mb-4">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">
+            Comparison
+            <span className={`ml-2 text-sm font-medium ${durationDelta > 0 ? 'text-red-600' : 'text-green-700'}`}>
+              Total duration {formatDuration(durationA)} → {formatDuration(durationB)} ({formatDelta(durationDelta)})
+            </span>
+          </div>
+          <button
+            onClick={() => setCompareData(null)}
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+          >
+            Exit Compare
+          </button>
+        </div>
+        
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-4">
+          {[[runData, 'A', scrollToStep], [compareData, 'B', () => {}]].map(([run, label, onStepClick]) => (
+            <div key={label} className="bg-white p-4 rounded-lg shadow">
+              <p className="text-sm mb-1">
+                <span className="font-semibold">{label}:</span> <span className="font-mono">{run.id}</span> ({run.status})
+              </p>
+              <div className="h-64 overflow-auto">
+                <WaterfallTimeline
+                  data={compareTimelines[label].data}
+                  runStart={run.started_at}
+                  runEnd={run.started_at + sharedDuration}
+                  onStepClick={onStepClick}
+                  markers={compareTimelines[label].markers}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+        
+        <div className="bg-white p-4 rounded-lg shadow overflow-auto max-h-96">
+          <table className="w-full text-sm text-left">
+            <thead className="bg-gray-100 sticky top-0">
+              <tr>
+                <th className="px-2 py-1">A</th>
+                <th className="px-2 py-1">B</th>
+                <th className="px-2 py-1">Type</th>
+                <th className="px-2 py-1">Tools</th>
+                <th className="px-2 py-1">Duration A</th>
+                <th className="px-2 py-1">Duration B</th>
+                <th className="px-2 py-1">Δ</th>
+                <th className="px-2 py-1">Tokens A</th>
+                <th className="px-2 py-1">Tokens B</th>
+                <th className="px-2 py-1">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, rowIndex) => {
+                const stepA = row.a !== null ? runData.steps[row.a] : null;
+                const stepB = row.b !== null ? compareData.steps[row.b] : null;
+                const step = stepA || stepB;
+                const stepDurationA = stepA ? getStepDuration(stepA, runData) : null;
+                const stepDurationB = stepB ? getStepDuration(stepB, compareData) : null;
+                const delta = stepA && stepB ? stepDurationB - stepDurationA : null;
+                
+                let change = 'same';
+                let rowClass = '';
+                if (!stepA) {
+                  change = 'added';
+                  rowClass = 'bg-green-50';
+                } else if (!stepB) {
+                  change = 'removed';
+                  rowClass = 'bg-red-50 line-through';
+                } else if (delta >= COMPARE_SLOWER_MIN_MS && delta >= stepDurationA * COMPARE_SLOWER_RATIO) {
+                  change = 'slower';
+                  rowClass = 'bg-yellow-50';
+                }
+                
+                return (
+                  <tr key={rowIndex} className={`border-t border-gray-200 ${rowClass}`}>
+                    <td className="px-2 py-1">{stepA ? row.a + 1 : ''}</td>
+                    <td className="px-2 py-1">{stepB ? row.b + 1 : ''}</td>
+                    <td className="px-2 py-1">{step.type}</td>
+                    <td className="px-2 py-1 font-mono">{getStepToolNames(step).join(', ')}</td>
+                    <td className="px-2 py-1">{stepA ? formatDuration(stepDurationA) : ''}</td>
+                    <td className="px-2 py-1">{stepB ? formatDuration(stepDurationB) : ''}</td>
+                    <td className={`px-2 py-1 ${delta > 0 ? 'text-red-600' : 'text-green-700'}`}>
+                      {delta !== null ? formatDelta(delta) : ''}
+                    </td>
+                    <td className="px-2 py-1">{stepA && stepA.usage ? formatTokens(stepA.usage.total_tokens) : ''}</td>
+                    <td className="px-2 py-1">{stepB && stepB.usage ? formatTokens(stepB.usage.total_tokens) : ''}</td>
+                    <td className="px-2 py-1 font-medium">{change}</td>
+                  </tr>
+                );
+              })}
+              <tr className="border-t-2 border-gray-300 font-semibold">
+                <td className="px-2 py-1" colSpan={4}>Total</td>
+                <td className="px-2 py-1">{formatDuration(durationA)}</td>
+                <td className="px-2 py-1">{formatDuration(durationB)}</td>
+                <td className={`px-2 py-1 ${durationDelta > 0 ? 'text-red-600' : 'text-green-700'}`}>{formatDelta(durationDelta)}</td>
+                <td className="px-2 py-1">{runData.usage ? formatTokens(runData.usage.total_tokens) : ''}</td>
+                <td className="px-2 py-1">{compareData.usage ? formatTokens(compareData.usage.total_tokens) : ''}</td>
+                <td className="px-2 py-1" />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
+  // A file ID shown with its resolved name and a download action; with `preview` set,
+  // images, CSV and text files are also shown inline
+  const renderFileReference = (fileId, { preview = false } = {}) => {
+    const file = resolvedFiles[fileId] || {};
+    const metadata = file.metadata;
+    const name = metadata ? metadata.filename : fileId;
+    
+    const header = (
+      <span className="inline-flex flex-wrap items-baseline gap-1">
+        <span className={metadata ? '' : 'font-mono'} title={fileId}>{name}</span>
+        {metadata && <span className="text-xs text-gray-500">({formatBytes(metadata.bytes)})</span>}
+        {file.status === 'loading' && <span className="text-xs text-gray-500">resolving...</span>}
+        {file.status === 'error' && <span className="text-xs text-red-600" title={file.error}>metadata unavailable</span>}
+        {file.status === 'error' && (
+          <button onClick={() => resolveFile(fileId)} className="text-xs text-blue-600 hover:underline">retry</button>
+        )}
+        {file.status === 'loaded' && (
+          <button onClick={() => downloadFile(fileId)} className="text-xs text-blue-600 hover:underline">
+            {file.contentStatus === 'loading' ? 'downloading...' : 'download'}
+          </button>
+        )}
+        {file.contentStatus === 'error' && <span className="text-xs text-red-600" title={file.contentError}>content unavailable</span>}
+      </span>
+    );
+    
+    if (!preview || file.contentStatus !== 'loaded') return header;
+    
+    return (
+      <div className="mt-1">
+        {header}
+        {file.kind === 'image' && (
+          <img src={file.objectUrl} alt={name} className="mt-1 max-w-full" />
+        )}
+        {file.kind === 'csv' && file.text && (
+          <div className="mt-1 overflow-auto max-h-64">
+            <table className="text-xs border border-gray-200">
+              <tbody>
+                {d3.csvParseRows(file.text).slice(0, FILE_PREVIEW_ROWS).map((row, rowIndex) => (
+                  <tr key={rowIndex} className={rowIndex === 0 ? 'bg-gray-100 font-semibold' : 'border-t border-gray-200'}>
+                    {row.map((cell, cellIndex) => (
+                      <td key={cellIndex} className="px-2 py-0.5 whitespace-nowrap">{cell}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {file.kind === 'text' && file.text && (
+          <pre className="mt-1 bg-gray-50 p-2 rounded overflow-auto max-h-64 text-xs">
+            {file.text.length > FILE_PREVIEW_CHARS ? `${file.text.slice(0, FILE_PREVIEW_CHARS)}\n...` : file.text}
+          </pre>
+        )}
+      </div>
+    );
+  };
+
+  // Render the content parts, citations and attachments of a thread message
+  const renderMessageContent = (message) => {
+    const content = Array.isArray(message.content) ? message.content : [];
+    const attachments = Array.isArray(message.attachments) ? message.attachments : [];
+    
+    return (
+      <div>
+        {content.length === 0 && <p className="text-gray-500 italic">Empty message</p>}
+        {content.map((part, partIndex) => {
+          if (!part) return null;
+          
+          // Text, with annotations listed as numbered citations underneath
+          if (part.type === 'text' && part.text) {
+            const annotations = Array.isArray(part.text.annotations) ? part.text.annotations : [];
+            return (
+              <div key={partIndex} className="mb-2">
+                <p className="whitespace-pre-wrap">{renderHighlighted(part.text.value)}</p>
+                {annotations.length > 0 && (
+                  <ol className="mt-1 ml-4 list-decimal text-xs text-gray-600">
+                    {annotations.map((annotation, annotationIndex) => (
+                      <li key={annotationIndex}>
+                        <span className="font-mono">{annotation.text}</span>
+                        {annotation.type === 'file_citation' && annotation.file_citation && (
+                          <> cites {renderFileReference(annotation.file_citation.file_id)}
+                            {annotation.file_citation.quote && <> &ldquo;{annotation.file_citation.quote}&rdquo;</>}
+                          </>
+                        )}
+                        {annotation.type === 'file_path' && annotation.file_path && (
+                          <> links {renderFileReference(annotation.file_path.file_id)}</>
+                        )}
+                        {annotation.type === 'url_citation' && (
+                          <> cites {isWebUrl(annotation.url)
+                            ? <a href={annotation.url} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline break-all">{annotation.url}</a>
+                            : <span className="font-mono break-all">{annotation.url}</span>}</>
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            );
+          }
+          
+          if (part.type === 'image_url' && part.image_url) {
+            return (
+              <div key={partIndex} className="mb-2">
+                <img src={part.image_url.url} alt="Message attachment" className="max-w-full" />
+              </div>
+            );
+          }
+          
+          if (part.type === 'image_file' && part.image_file) {
+            return (
+              <div key={partIndex} className="mb-2 text-sm">
+                <span className="font-semibold">Image file:</span> {renderFileReference(part.image_file.file_id, { preview: true })}
+              </div>
+            );
+          }
+          
+          if (part.type === 'refusal') {
+            return (
+              <p key={partIndex} className="mb-2 text-red-700">
+                <span className="font-semibold">Refusal:</span> {renderHighlighted(part.refusal)}
+              </p>
+            );
+          }
+          
+          return (
+            <pre key={partIndex} className="mb-2 text-sm overflow-auto">
+              {JSON.stringify(part, null, 2)}
+            </pre>
+          );
+        })}
+        
+        {attachments.length > 0 && (
+          <div className="mt-2 text-sm">
+            <p className="font-semibold">Attachments:</p>
+            <ul className="ml-4 list-disc">
+              {attachments.map((attachment, attachmentIndex) => (
+                <li key={attachment.file_id || attachmentIndex}>
+                  {renderFileReference(attachment.file_id, { preview: true })}
+                  {Array.isArray(attachment.tools) && attachment.tools.length > 0 && (
+                    <span className="text-gray-600"> ({attachment.tools.map(tool => tool.type).join(', ')})</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Render a message as an entry in the transcript pane
+  const renderMessage = (message) => {
+    const fromThisRun = message.run_id === runData.id;
+    
+    return (
+      <div
+        key={message.id}
+        className={`mb-3 p-3 rounded border ${message.role === 'user' ? 'bg-blue-50 border-blue-200' : 'bg-gray-50 border-gray-200'} ${fromThisRun ? '' : 'opacity-75'}`}
+      >
+        <div className="flex justify-between text-xs text-gray-500 mb-1">
+          <span className="font-semibold uppercase">{message.role}</span>
+          <span>{fromThisRun ? 'this run' : 'before run'} &middot; {formatTime(message.created_at * 1000)}</span>
+        </div>
+        {renderMessageContent(message)}
+      </div>
+    );
+  };
+
+  // Ranking options and ranked result chunks of an Assistants v2 file_search call
+  const renderFileSearchCall = (fileSearch) => {
+    const rankingOptions = fileSearch.ranking_options;
+    const results = Array.isArray(fileSearch.results)
+      ? [...fileSearch.results].sort((a, b) => (b.score || 0) - (a.score || 0))
+      : [];
+    
+    return (
+      <div className="mt-2">
+        {Array.isArray(fileSearch.queries) && fileSearch.queries.length > 0 && (
+          <p><span className="font-semibold">Queries:</span> {renderHighlighted(fileSearch.queries.join(' · '))}</p>
+        )}
+        {rankingOptions && (
+          <p>
+            <span className="font-semibold">Ranking:</span> {rankingOptions.ranker || 'default'} ranker,
+            score threshold {rankingOptions.score_threshold !== undefined ? rankingOptions.score_threshold : 'N/A'}
+          </p>
+        )}
+        {results.length === 0 ? (
+          <p className="mt-1 text-sm text-gray-500 italic">No results returned</p>
+        ) : (
+          <table className="mt-2 w-full text-sm text-left">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-2 py-1">#</th>
+                <th className="px-2 py-1">File</th>
+                <th className="px-2 py-1">Score</th>
+                <th className="px-2 py-1">Content</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((result, resultIndex) => (
+                <tr key={`${result.file_id}-${resultIndex}`} className="border-t border-gray-200 align-top">
+                  <td className="px-2 py-1">{resultIndex + 1}</td>
+                  <td className="px-2 py-1">
+                    {result.file_name && <div>{renderHighlighted(result.file_name)}</div>}
+                    <div className="text-xs text-gray-600">{renderFileReference(result.file_id)}</div>
+                  </td>
+                  <td className="px-2 py-1">{typeof result.score === 'number' ? result.score.toFixed(3) : 'N/A'}</td>
+                  <td className="px-2 py-1">
+                    {Array.isArray(result.content) && result.content.length > 0 ? (
+                      <pre className="whitespace-pre-wrap max-h-40 overflow-auto">
+                        {renderHighlighted(result.content.map(chunk => chunk.text).filter(Boolean).join('\n'))}
+                      </pre>
+                    ) : (
+                      <span className="text-gray-500 italic">Not included</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    );
+  };
+
+  const renderHistoryEntry = (entry) => {
+    const editing = editingHistoryKey === entry.key;
+    
+    return (
+      <div key={entry.key} className={`p-3 border-b border-gray-100 ${runData && getHistoryKey(runData) === entry.key ? 'bg-blue-50' : ''}`}>
+        <div className="flex items-start gap-2">
+          <button
+            onClick={() => updateHistoryEntry(entry.key, { starred: !entry.starred })}
+            title={entry.starred ? 'Unstar' : 'Star'}
+            className={`text-lg leading-none ${entry.starred ? 'text-yellow-500' : 'text-gray-400 hover:text-yellow-500'}`}
+          >
+            {entry.starred ? '★' : '☆'}
+          </button>
+          <button onClick={() => openHistoryEntry(entry)} className="flex-grow min-w-0 text-left">
+            <div className="font-mono text-sm break-all text-blue-700 hover:underline">{entry.runId}</div>
+            <div className="text-xs text-gray-500 break-all">
+              {entry.kind === 'response' ? 'Response chain' : entry.threadId}{entry.model && ` · ${entry.model}`}
+            </div>
+            <div className="text-xs text-gray-700">
+              <span className={FAILED_STATUSES.includes(entry.status) ? 'text-red-700 font-semibold' : ''}>{entry.status}</span>
+              {' '}&middot; {entry.durationMs !== null ? formatDuration(entry.durationMs) : 'in progress'}
+              {' '}&middot; {entry.stepCount} steps{entry.failedStepCount > 0 && ` (${entry.failedStepCount} failed)`}
+            </div>
+            <div className="text-xs text-gray-500">
+              Opened {formatDateTime(entry.openedAt)}
+              {entry.profile && renderEnvironmentBadge(entry.profile, 'ml-1')}
+            </div>
+          </button>
+        </div>
         
-    }, [data, runStart, runEnd, onStepClick]);
-    
-    return (
-      <div className="relative w-full h-full">
-        <svg ref={svgRef} className="w-full h-full" />
-        <div ref={tooltipRef} />
+        {editing ? (
+          <div className="mt-2 space-y-1">
+            <textarea
+              value={historyDraft.notes}
+              onChange={(e) => setHistoryDraft({ ...historyDraft, notes: e.target.value })}
+              placeholder="Notes"
+              className="w-full p-1 border border-gray-300 rounded text-sm"
+              rows={3}
+            />
+            <input
+              type="text"
+              value={historyDraft.tags}
+              onChange={(e) => setHistoryDraft({ ...historyDraft, tags: e.target.value })}
+              placeholder="Tags, comma separated"
+              className="w-full p-1 border border-gray-300 rounded text-sm"
+            />
+            <div className="flex gap-2 text-sm">
+              <button
+                onClick={() => {
+                  updateHistoryEntry(entry.key, { notes: historyDraft.notes.trim(), tags: parseHistoryTags(historyDraft.tags) });
+                  setEditingHistoryKey(null);
+                }}
+                className="px-2 py-0.5 bg-blue-600 text-white rounded hover:bg-blue-700"
+              >
+                Save
+              </button>
+              <button onClick={() => setEditingHistoryKey(null)} className="text-gray-600 hover:underline">
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            {entry.tags.length > 0 && (
+              <div className="mt-1 flex flex-wrap gap-1">
+                {entry.tags.map(tag => (
+                  <button
+                    key={tag}
+                    onClick={() => setHistoryQuery(tag)}
+                    className="px-1.5 py-0.5 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                  >
+                    {tag}
+                  </button>
+                ))}
+              </div>
+            )}
+            {entry.notes && <p className="mt-1 text-xs text-gray-700 whitespace-pre-wrap">{entry.notes}</p>}
+            <div className="mt-1 flex gap-3 text-xs">
+              <button
+                onClick={() => {
+                  setHistoryDraft({ notes: entry.notes, tags: entry.tags.join(', ') });
+                  setEditingHistoryKey(entry.key);
+                }}
+                className="text-blue-600 hover:underline"
+              >
+                Notes &amp; tags
+              </button>
+              <button onClick={() => removeHistoryEntry(entry.key)} className="text-red-600 hover:underline">
+                Remove
+              </button>
+            </div>
+          </>
+        )}
       </div>
     );
   };
 
-  const [runId, setRunId] = useState(() => localStorage.getItem('openai_debug_run_id') || '');
-  const [threadId, setThreadId] = useState(() => localStorage.getItem('openai_debug_thread_id') || '');
-  const [assistantId, setAssistantId] = useState(() => localStorage.getItem('openai_debug_assistant_id') || '');
-  const [apiKey, setApiKey] = useState(() => localStorage.getItem('openai_debug_api_key') || '');
-  const [debugMode, setDebugMode] = useState(() => localStorage.getItem('openai_debug_mode') === 'true');
-  const [debugInfo, setDebugInfo] = useState(null);
-  const [runData, setRunData] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [selectedStepIndex, setSelectedStepIndex] = useState(null);
-  
-  const stepRefs = useRef({});
-
-  // Save values to localStorage when they change
-  useEffect(() => {
-    if (runId) localStorage.setItem('openai_debug_run_id', runId);
-    if (threadId) localStorage.setItem('openai_debug_thread_id', threadId);
-    if (assistantId) localStorage.setItem('openai_debug_assistant_id', assistantId);
-    if (apiKey) localStorage.setItem('openai_debug_api_key', apiKey);
-    localStorage.setItem('openai_debug_mode', debugMode);
-  }, [runId, threadId, assistantId, apiKey, debugMode]);
-
-  const prepareTimelineData = () => {
-    if (!runData || !runData.steps || runData.steps.length === 0) return [];
-    
-    const startTime = runData.started_at;
-    const endTime = runData.completed_at;
-    const result = [];
-    
-    // Check for initial gap between run start and first step
-    if (runData.steps.length > 0) {
-      const firstStep = runData.steps[0];
-      if (firstStep.started_at > startTime) {
-        const gapDuration = firstStep.started_at - startTime;
-        result.push({
-          name: `<unknown>`,
-          actualStart: 0,
-          duration: gapDuration,
-          actualEnd: gapDuration,
-          index: -1, // Special index for gaps
-          isGap: true,
-          durationLabel: formatDuration(gapDuration)
-        });
-      }
-    }
+  // Sidebar listing every run opened before, newest first
+  const renderHistorySidebar = () => {
+    const entries = searchRunHistory(historyEntries, historyQuery, { starredOnly: historyStarredOnly });
     
-    // Process all steps and add gaps between them
-    runData.steps.forEach((step, index) => {
-      // Add the current step
-      const actualStart = step.started_at - startTime;
-      const actualEnd = step.completed_at ? step.completed_at - startTime : (endTime - startTime);
-      const duration = actualEnd - actualStart;
-      
-      result.push({
-        name: `${index + 1}. ${step.type || 'Unknown'}`,
-        actualStart,
-        duration,
-        actualEnd,
-        index,
-        isSelected: selectedStepIndex === index,
-        isGap: false,
-        durationLabel: formatDuration(duration)
-      });
-      
-      // Check for gap after this step
-      const nextStep = index < runData.steps.length - 1 ? runData.steps[index + 1] : null;
-      if (nextStep && step.completed_at < nextStep.started_at) {
-        const gapStart = step.completed_at - startTime;
-        const gapEnd = nextStep.started_at - startTime;
-        const gapDuration = gapEnd - gapStart;
-        
-        result.push({
-          name: `<unknown>`,
-          actualStart: gapStart,
-          duration: gapDuration,
-          actualEnd: gapEnd,
-          index: -1, // Special index for gaps
-          isGap: true,
-          durationLabel: formatDuration(gapDuration)
-        });
-      }
-    });
-    
-    // Check for gap after the last step to the end of the run
-    const lastStep = runData.steps[runData.steps.length - 1];
-    if (lastStep && lastStep.completed_at < endTime) {
-      const gapStart = lastStep.completed_at - startTime;
-      const gapDuration = endTime - lastStep.completed_at;
-      
-      result.push({
-        name: `<unknown>`,
-        actualStart: gapStart,
-        duration: gapDuration,
-        actualEnd: endTime - startTime,
-        index: -1, // Special index for gaps
-        isGap: true,
-        durationLabel: formatDuration(gapDuration)
-      });
-    }
-    
-    return result;
+    return (
+      <div className="fixed inset-y-0 right-0 z-40 w-96 max-w-full flex flex-col bg-white border-l border-gray-200 shadow-xl">
+        <div className="p-4 border-b border-gray-200">
+          <div className="flex items-center justify-between mb-2">
+            <div className="text-lg font-semibold">Run History</div>
+            <button
+              onClick={() => setShowHistory(false)}
+              className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              Close
+            </button>
+          </div>
+          <input
+            type="search"
+            value={historyQuery}
+            onChange={(e) => setHistoryQuery(e.target.value)}
+            placeholder="Search IDs, models, profiles, notes and tags"
+            className="w-full p-1 border border-gray-300 rounded text-sm"
+          />
+          <label className="mt-2 flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={historyStarredOnly}
+              onChange={(e) => setHistoryStarredOnly(e.target.checked)}
+            />
+            Starred only
+          </label>
+          {historyError && <p className="mt-2 text-sm text-red-700">{historyError}</p>}
+        </div>
+        <div className="flex-grow overflow-auto">
+          {entries.length === 0 && (
+            <p className="p-4 text-sm text-gray-500">
+              {historyEntries.length === 0 ? 'Runs you open are listed here.' : 'No runs match.'}
+            </p>
+          )}
+          {entries.map(renderHistoryEntry)}
+        </div>
+        {historyEntries.length > 0 && (
+          <div className="p-3 border-t border-gray-200 text-right">
+            <button
+              onClick={clearHistory}
+              className="text-sm text-red-600 hover:underline"
+              title="Forget the runs below; saved IDs and API keys are kept"
+            >
+              Clear history only
+            </button>
+          </div>
+        )}
+      </div>
+    );
   };
 
-  const fetchRunData = async () => {
-    if (!runId || !threadId || !apiKey) {
-      setError('Run ID, Thread ID, and API Key are required');
-      return;
-    }
+  // Text with the filter bar's search text marked
+  const renderHighlighted = (text) => splitHighlights(text, stepFilter.text).map((part, i) => (
+    part.match ? <mark key={i} className="bg-yellow-200 rounded-sm">{part.text}</mark> : part.text
+  ));
 
-    setLoading(true);
-    setError(null);
-    setDebugInfo(null);
+  const renderStepFilter = () => {
+    const options = getStepFilterOptions(runData.steps);
+    const selectClassName = 'p-1 border border-gray-300 rounded text-sm';
     
-    try {
-      // First, get the run details to find out when it started and completed
-      let runInfo;
-      const runUrl = `https://api.openai.com/v1/threads/${threadId}/runs/${runId}`;
-      
-      // Clear and initialize debug info
-      if (debugMode) {
-        setDebugInfo({
-          runUrl,
-          runHeaders: {
-            'Authorization': `Bearer ${apiKey.substring(0, 3)}...${apiKey.substring(apiKey.length - 3)}`,
-            'Content-Type': 'application/json',
-            'OpenAI-Beta': 'assistants=v2'
-          }
-        });
-      }
-      
-      try {
-        const runResponse = await fetch(runUrl, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'OpenAI-Beta': 'assistants=v2'
-          }
-        });
-        
-        const responseText = await runResponse.text();
-        let responseJson = null;
-        
-        try {
-          responseJson = JSON.parse(responseText);
-        } catch (e) {
-          // Response wasn't valid JSON
-        }
-        
-        if (debugMode) {
-          setDebugInfo(prevInfo => ({
-            ...prevInfo,
-            runStatus: runResponse.status,
-            runStatusText: runResponse.statusText,
-            runResponse: responseJson || responseText
-          }));
-        }
-        
-        if (!runResponse.ok) {
-          throw new Error(`Run API request failed with status ${runResponse.status}: ${responseText}`);
-        }
-        
-        runInfo = responseJson;
-      } catch (err) {
-        console.error("Error fetching run:", err);
-        throw new Error(`Error fetching run details: ${err.message || 'Network error'}`);
-      }
-      
-      // Then fetch all run steps
-      let stepsData;
-      const stepsUrl = `https://api.openai.com/v1/threads/${threadId}/runs/${runId}/steps?limit=100`;
-      
-      // Update debug info for steps request
-      if (debugMode) {
-        // Use a callback to ensure we're updating the latest state
-        setDebugInfo(prevInfo => {
-          // Make sure prevInfo exists and create a deep copy to avoid state mutation issues
-          const updatedInfo = prevInfo ? {...prevInfo} : {};
-          
-          return {
-            ...updatedInfo,
-            stepsUrl,
-            stepsHeaders: {
-              'Authorization': `Bearer ${apiKey.substring(0, 3)}...${apiKey.substring(apiKey.length - 3)}`,
-              'Content-Type': 'application/json',
-              'OpenAI-Beta': 'assistants=v2'
-            }
-          };
-        });
-        
-        // Log to console to verify the URL is correct
-        console.log("Steps URL:", stepsUrl);
-      }
-      
-      try {
-        const stepsResponse = await fetch(stepsUrl, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'OpenAI-Beta': 'assistants=v2'
-          }
-        });
-        
-        const responseText = await stepsResponse.text();
-        let responseJson = null;
-        
-        try {
-          responseJson = JSON.parse(responseText);
-        } catch (e) {
-          // Response wasn't valid JSON
-        }
-        
-        if (debugMode) {
-          setDebugInfo(prevInfo => ({
-            ...prevInfo,
-            stepsStatus: stepsResponse.status,
-            stepsStatusText: stepsResponse.statusText,
-            stepsResponse: responseJson || responseText
-          }));
-        }
-        
-        if (!stepsResponse.ok) {
-          throw new Error(`Steps API request failed with status ${stepsResponse.status}: ${responseText}`);
-        }
-        
-        stepsData = responseJson;
-      } catch (err) {
-        console.error("Error fetching steps:", err);
-        throw new Error(`Error fetching run steps: ${err.message || 'Network error'}`);
-      }
-      
-      // Transform Unix timestamps to JavaScript milliseconds
-      const transformedSteps = stepsData.data.map(step => ({
-        ...step,
-        // Convert Unix timestamps (seconds) to JavaScript timestamps (milliseconds)
-        started_at: step.created_at * 1000,
-        completed_at: step.completed_at ? step.completed_at * 1000 : null
-      }));
-      
-      // Sort steps by created_at to ensure they're in chronological order
-      transformedSteps.sort((a, b) => a.created_at - b.created_at);
-      
-      const processedData = {
-        id: runInfo.id,
-        thread_id: runInfo.thread_id,
-        assistant_id: runInfo.assistant_id || assistantId,
-        status: runInfo.status,
-        started_at: runInfo.created_at * 1000, // Convert Unix timestamp to JavaScript milliseconds
-        completed_at: runInfo.completed_at ? runInfo.completed_at * 1000 : Date.now(),
-        steps: transformedSteps
-      };
-      
-      setRunData(processedData);
-    } catch (err) {
-      setError(`Error: ${err.message || 'Unknown error occurred'}`);
-      console.error("Detailed error:", err);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const scrollToStep = (index) => {
-    setSelectedStepIndex(index);
-    if (stepRefs.current[index]) {
-      stepRefs.current[index].scrollIntoView({ 
-        behavior: 'smooth',
-        block: 'start'
-      });
-    }
+    return (
+      <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+        <input
+          type="search"
+          value={stepFilter.text}
+          onChange={(e) => setStepFilter({ ...stepFilter, text: e.target.value })}
+          placeholder="Search arguments, outputs, code and messages"
+          className="flex-grow min-w-48 p-1 border border-gray-300 rounded"
+        />
+        <select value={stepFilter.type} onChange={(e) => setStepFilter({ ...stepFilter, type: e.target.value })} className={selectClassName}>
+          <option value="">All types</option>
+          {options.types.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <select value={stepFilter.status} onChange={(e) => setStepFilter({ ...stepFilter, status: e.target.value })} className={selectClassName}>
+          <option value="">All statuses</option>
+          {options.statuses.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        {options.tools.length > 0 && (
+          <select value={stepFilter.tool} onChange={(e) => setStepFilter({ ...stepFilter, tool: e.target.value })} className={selectClassName}>
+            <option value="">All tools</option>
+            {options.tools.map(tool => <option key={tool} value={tool}>{tool}</option>)}
+          </select>
+        )}
+        {matchingStepIndexes && (
+          <>
+            <span className="text-gray-600">{matchingStepIndexes.size} of {runData.steps.length} steps match</span>
+            <button onClick={() => setStepFilter(EMPTY_STEP_FILTER)} className="text-blue-600 hover:underline">
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+    );
   };
 
-  const timelineData = prepareTimelineData();
-
   // Helper function to safely render step details
   const renderStepDetails = (step) => {
     // Safety check if step details is undefined
@@ -477,21 +3738,25 @@ const OpenAIAssistantDebugger = () => {
                 {/* Function tool call */}
                 {toolCall.type === 'function' && toolCall.function && (
                   <div className="mt-2">
-                    <p><span className="font-semibold">Function:</span> {toolCall.function.name || 'Unnamed'}</p>
-                    <p className="mt-1"><span className="font-semibold">Arguments:</span></p>
-                    <pre className="mt-1 bg-gray-50 p-2 rounded overflow-auto text-sm">
-                      {(() => {
-                        try {
-                          return JSON.stringify(
-                            JSON.parse(toolCall.function.arguments || '{}'), 
-                            null, 
-                            2
-                          );
-                        } catch (e) {
-                          return toolCall.function.arguments || '{}';
-                        }
-                      })()}
-                    </pre>
+                    <p><span className="font-semibold">Function:</span> {renderHighlighted(toolCall.function.name || 'Unnamed')}</p>
+                    <div className="grid grid-cols-1 xl:grid-cols-2 gap-2">
+                      <div>
+                        <p className="mt-1"><span className="font-semibold">Arguments:</span></p>
+                        <pre className="mt-1 bg-gray-50 p-2 rounded overflow-auto text-sm">
+                          {renderHighlighted(formatJsonString(toolCall.function.arguments || '{}'))}
+                        </pre>
+                      </div>
+                      <div>
+                        <p className="mt-1"><span className="font-semibold">Output:</span></p>
+                        {toolCall.function.output !== null && toolCall.function.output !== undefined ? (
+                          <pre className="mt-1 bg-gray-50 p-2 rounded overflow-auto text-sm">
+                            {renderHighlighted(formatJsonString(toolCall.function.output))}
+                          </pre>
+                        ) : (
+                          <p className="mt-1 text-sm text-gray-500 italic">No output submitted</p>
+                        )}
+                      </div>
+                    </div>
                   </div>
                 )}
                 
@@ -500,7 +3765,7 @@ const OpenAIAssistantDebugger = () => {
                   <div className="mt-2">
                     <p className="mt-1"><span className="font-semibold">Input:</span></p>
                     <pre className="mt-1 bg-gray-50 p-2 rounded overflow-auto text-sm">
-                      {toolCall.code_interpreter.input || 'No input provided'}
+                      {renderHighlighted(toolCall.code_interpreter.input || 'No input provided')}
                     </pre>
                     
                     {toolCall.code_interpreter.outputs && 
@@ -515,7 +3780,12 @@ const OpenAIAssistantDebugger = () => {
                             <div key={i} className="mt-1">
                               {output.type === 'text' && (
                                 <pre className="bg-gray-50 p-2 rounded overflow-auto text-sm">
-                                  {output.text}
+                                  {renderHighlighted(output.text)}
+                                </pre>
+                              )}
+                              {output.type === 'logs' && (
+                                <pre className="bg-gray-50 p-2 rounded overflow-auto text-sm">
+                                  {renderHighlighted(output.logs)}
                                 </pre>
                               )}
                               {output.type === 'image' && output.image && output.image.data && (
@@ -526,6 +3796,12 @@ const OpenAIAssistantDebugger = () => {
                                   />
                                 </div>
                               )}
+                              {output.type === 'image' && output.image && !output.image.data && output.image.file_id && (
+                                renderFileReference(output.image.file_id, { preview: true })
+                              )}
+                              {output.type === 'image' && output.image && output.image.url && (
+                                <img src={output.image.url} alt="Code output" className="max-w-full" />
+                              )}
                             </div>
                           );
                         })}
@@ -534,6 +3810,27 @@ const OpenAIAssistantDebugger = () => {
                   </div>
                 )}
                 
+                {/* File search tool call */}
+                {toolCall.type === 'file_search' && renderFileSearchCall(toolCall.file_search || {})}
+                
+                {/* Web search tool call (Responses API) */}
+                {toolCall.type === 'web_search' && toolCall.web_search && (
+                  <div className="mt-2">
+                    <p><span className="font-semibold">Status:</span> {toolCall.web_search.status || 'Unknown'}</p>
+                    {toolCall.web_search.action && (
+                      <>
+                        <p><span className="font-semibold">Action:</span> {toolCall.web_search.action.type}</p>
+                        {toolCall.web_search.action.query && (
+                          <p><span className="font-semibold">Query:</span> {renderHighlighted(toolCall.web_search.action.query)}</p>
+                        )}
+                        {toolCall.web_search.action.url && (
+                          <p className="break-all"><span className="font-semibold">URL:</span> {renderHighlighted(toolCall.web_search.action.url)}</p>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
+                
                 {/* Retrieval tool call */}
                 {toolCall.type === 'retrieval' && (
                   <div className="mt-2">
@@ -548,6 +3845,8 @@ const OpenAIAssistantDebugger = () => {
     } 
     // Handle message creation
     else if (detailType === 'message_creation' && details.message_creation) {
+      const message = (runData.messages || []).find(m => m.id === details.message_creation.message_id);
+      
       return (
         <div>
           <p>
@@ -555,88 +3854,338 @@ const OpenAIAssistantDebugger = () => {
               details.message_creation.message_id || 'Unknown Message ID'
             }
           </p>
+          {message ? (
+            <div className="mt-2 p-3 bg-white rounded border border-gray-200">
+              {renderMessageContent(message)}
+            </div>
+          ) : (
+            <p className="mt-1 text-sm text-gray-500">Message content not loaded</p>
+          )}
         </div>
       );
     } 
+    // Reasoning item from the Responses API; only its summary is readable
+    else if (detailType === 'reasoning' && details.reasoning) {
+      return (
+        <div>
+          {details.reasoning.summary.length > 0 ? (
+            details.reasoning.summary.map((text, i) => (
+              <p key={i} className="mb-2 whitespace-pre-wrap">{renderHighlighted(text)}</p>
+            ))
+          ) : (
+            <p className="text-sm text-gray-500 italic">No reasoning summary returned</p>
+          )}
+          {details.reasoning.encrypted && (
+            <p className="text-xs text-gray-500">Full reasoning is encrypted and not shown</p>
+          )}
+        </div>
+      );
+    }
     // Default case - just render the JSON
     else {
       return (
         <pre className="overflow-auto">
-          {JSON.stringify(details, null, 2)}
+          {renderHighlighted(JSON.stringify(details, null, 2))}
         </pre>
       );
     }
   };
 
   return (
-    <div className="flex flex-col h-screen p-4 bg-gray-50">
+    <div
+      className="relative flex flex-col h-screen p-4 bg-gray-50"
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDraggingFile(true);
+      }}
+      onDragLeave={(e) => {
+        // Ignore leave events fired when moving between child elements
+        if (!e.currentTarget.contains(e.relatedTarget)) setDraggingFile(false);
+      }}
+      onDrop={handleDrop}
+    >
+      {showHistory && renderHistorySidebar()}
+      
+      {draggingFile && (
+        <div className="absolute inset-0 z-50 flex items-center justify-center bg-blue-50 bg-opacity-90 border-4 border-dashed border-blue-400 rounded-lg pointer-events-none">
+          <p className="text-xl font-semibold text-blue-700">Drop an exported run JSON file to open it</p>
+        </div>
+      )}
+      
       {/* Input Form */}
       <div className="mb-4 p-4 bg-white rounded-lg shadow">
+        <div className="mb-3 flex gap-1 text-sm">
+          {[['assistants', 'Assistants Run'], ['responses', 'Response']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => setApiMode(mode)}
+              className={`px-3 py-1 rounded ${apiMode === mode ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {apiMode === 'responses' ? (
+            <div className="lg:col-span-3">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Response ID</label>
+              <input
+                type="text"
+                value={responseId}
+                onChange={(e) => setResponseId(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded"
+                placeholder="resp_abc123"
+              />
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Thread ID</label>
+                <input
+                  type="text"
+                  value={threadId}
+                  onChange={(e) => setThreadId(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded"
+                  placeholder="thread_abc123"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Run ID</label>
+                <input
+                  type="text"
+                  value={runId}
+                  onChange={(e) => setRunId(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded"
+                  placeholder="run_abc123"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Assistant ID (optional)</label>
+                <input
+                  type="text"
+                  value={assistantId}
+                  onChange={(e) => setAssistantId(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded"
+                  placeholder="asst_abc123"
+                />
+              </div>
+            </>
+          )}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Thread ID</label>
-            <input
-              type="text"
-              value={threadId}
-              onChange={(e) => setThreadId(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded"
-              placeholder="thread_abc123"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Run ID</label>
-            <input
-              type="text"
-              value={runId}
-              onChange={(e) => setRunId(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded"
-              placeholder="run_abc123"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Assistant ID (optional)</label>
-            <input
-              type="text"
-              value={assistantId}
-              onChange={(e) => setAssistantId(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded"
-              placeholder="asst_abc123"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">API Key</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              API Key
+              <span
+                className="ml-2 px-1.5 py-0.5 text-xs font-normal bg-gray-100 text-gray-700 rounded"
+                title={keyExpiresAt ? `Expires at ${formatDateTime(keyExpiresAt)}` : 'Does not expire'}
+              >
+                {KEY_STORAGE_MODES[keyStorageMode]}
+                {keyStorageMode === 'encrypted' && (encryptedKeyEntry ? (apiKey ? ', unlocked' : ', locked') : ', not saved')}
+                {keyExpiresAt && apiKey ? ` · until ${formatTime(keyExpiresAt)}` : ''}
+              </span>
+            </label>
             <input
               type="password"
               value={apiKey}
-              onChange={(e) => setApiKey(e.target.value)}
+              onChange={(e) => {
+                setApiKey(e.target.value);
+                setKeyExpiresAt(e.target.value ? getKeyExpiry() : null);
+              }}
               className="w-full p-2 border border-gray-300 rounded"
-              placeholder="sk-..."
+              placeholder={keyStorageMode === 'encrypted' && encryptedKeyEntry && !apiKey ? 'Locked - enter passphrase below' : 'sk-...'}
             />
           </div>
         </div>
+        
+        {/* Connection profile and API key storage */}
+        <div className="mt-3 flex flex-wrap gap-2 items-center text-sm">
+          <label htmlFor="connectionProfile" className="text-gray-700">Profile:</label>
+          <select
+            id="connectionProfile"
+            value={activeProfile.id}
+            onChange={(e) => switchProfile(e.target.value)}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.name} ({profile.environment})</option>
+            ))}
+          </select>
+          {renderEnvironmentBadge(activeProfile, 'mr-2')}
+          <label htmlFor="keyStorageMode" className="text-gray-700">Keep key in:</label>
+          <select
+            id="keyStorageMode"
+            value={keyStorageMode}
+            onChange={(e) => changeKeyStorageMode(e.target.value)}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {Object.entries(KEY_STORAGE_MODES).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+          <label htmlFor="keyExpiry" className="ml-2 text-gray-700">Expire after:</label>
+          <select
+            id="keyExpiry"
+            value={keyExpiryMinutes}
+            onChange={(e) => {
+              const minutes = parseInt(e.target.value, 10);
+              setKeyExpiryMinutes(minutes);
+              if (apiKey) setKeyExpiresAt(getKeyExpiry(minutes));
+            }}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {KEY_EXPIRY_OPTIONS.map(([minutes, label]) => (
+              <option key={minutes} value={minutes}>{label}</option>
+            ))}
+          </select>
+          {keyStorageMode === 'encrypted' && (
+            <>
+              <input
+                type="password"
+                value={keyPassphrase}
+                onChange={(e) => setKeyPassphrase(e.target.value)}
+                className="ml-2 p-1 border border-gray-300 rounded"
+                placeholder="Passphrase"
+              />
+              {encryptedKeyEntry && !apiKey ? (
+                <button
+                  onClick={unlockEncryptedApiKey}
+                  className="px-3 py-1 bg-blue-100 text-blue-800 rounded hover:bg-blue-200"
+                >
+                  Unlock Key
+                </button>
+              ) : (
+                <button
+                  onClick={saveEncryptedApiKey}
+                  className="px-3 py-1 bg-blue-100 text-blue-800 rounded hover:bg-blue-200"
+                >
+                  Save Encrypted
+                </button>
+              )}
+            </>
+          )}
+          {keyNotice && <span className="ml-2 text-gray-600">{keyNotice}</span>}
+        </div>
         <div className="mt-4 flex flex-wrap gap-2 items-center">
           <button
-            onClick={fetchRunData}
+            onClick={() => (apiMode === 'responses' ? fetchResponseData() : fetchRunData())}
             disabled={loading}
             className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-blue-300"
           >
-            {loading ? 'Loading...' : 'Fetch Run Data'}
+            {loading ? 'Loading...' : (apiMode === 'responses' ? 'Fetch Response' : 'Fetch Run Data')}
           </button>
+          {apiMode === 'assistants' && (
+            <button
+              onClick={fetchThreadRuns}
+              disabled={threadRunsLoading}
+              className="px-4 py-2 bg-blue-100 text-blue-800 rounded hover:bg-blue-200 disabled:opacity-50"
+            >
+              {threadRunsLoading ? 'Loading Runs...' : 'Browse Thread Runs'}
+            </button>
+          )}
+          {apiMode === 'assistants' && (
+            <button
+              onClick={() => setShowLaunchForm(!showLaunchForm)}
+              className="px-4 py-2 bg-blue-100 text-blue-800 rounded hover:bg-blue-200"
+            >
+              {showLaunchForm ? 'Hide Launch Run' : 'Launch Run'}
+            </button>
+          )}
           <button
-            onClick={() => {
-              localStorage.removeItem('openai_debug_run_id');
-              localStorage.removeItem('openai_debug_thread_id');
-              localStorage.removeItem('openai_debug_assistant_id');
-              localStorage.removeItem('openai_debug_api_key');
-              setRunId('');
-              setThreadId('');
-              setAssistantId('');
-              setApiKey('');
+            onClick={() => setShowAnalytics(!showAnalytics)}
+            className="px-4 py-2 bg-blue-100 text-blue-800 rounded hover:bg-blue-200"
+          >
+            {showAnalytics ? 'Hide Analytics' : 'Analytics'}
+          </button>
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="px-4 py-2 bg-blue-100 text-blue-800 rounded hover:bg-blue-200"
+          >
+            History{historyEntries.length > 0 && ` (${historyEntries.length})`}
+          </button>
+          {(loading || compareLoading) && (
+            <button
+              onClick={cancelFetch}
+              className="px-4 py-2 bg-red-100 text-red-700 rounded hover:bg-red-200"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={() => importInputRef.current.click()}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+          >
+            Import Run
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              importRun(e.target.files[0]);
+              // Allow re-importing the same file
+              e.target.value = '';
             }}
+          />
+          {runData && (
+            <button
+              onClick={exportRun}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              Export Run
+            </button>
+          )}
+          {runData && (
+            <>
+              <button
+                onClick={() => exportReport('html')}
+                className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+              >
+                HTML Report
+              </button>
+              <button
+                onClick={() => exportReport('md')}
+                className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+              >
+                Markdown Report
+              </button>
+            </>
+          )}
+          <button
+            onClick={clearSavedData}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            title="Forget the saved IDs, every profile's API key and sensitive settings, and the run history"
+          >
+            Clear All Saved Data
+          </button>
+          <button
+            onClick={() => setShowApiSettings(!showApiSettings)}
             className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
           >
-            Clear Saved Data
+            {showApiSettings ? 'Hide Settings' : 'Settings'}
           </button>
+          {following && (
+            <button
+              onClick={stopFollowing}
+              className="px-4 py-2 bg-yellow-100 text-yellow-800 rounded hover:bg-yellow-200"
+            >
+              Stop Following
+            </button>
+          )}
+          <div className="flex items-center ml-4">
+            <input
+              type="checkbox"
+              id="followToggle"
+              checked={followMode}
+              onChange={(e) => {
+                setFollowMode(e.target.checked);
+                if (!e.target.checked) stopFollowing();
+              }}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <label htmlFor="followToggle" className="ml-2 block text-sm text-gray-900">
+              Follow Live Runs
+            </label>
+          </div>
           <div className="flex items-center ml-4">
             <input
               type="checkbox"
@@ -650,6 +4199,23 @@ const OpenAIAssistantDebugger = () => {
             </label>
           </div>
         </div>
+        {apiMode === 'assistants' && showLaunchForm && renderLaunchForm()}
+        {showApiSettings && renderApiSettings()}
+        {apiSettings.baseUrl !== DEFAULT_API_SETTINGS.baseUrl && (
+          <p className="mt-2 text-sm text-gray-600">
+            Requests go to <span className="font-mono">{apiSettings.baseUrl}</span>
+          </p>
+        )}
+        {loading && fetchProgress && (
+          <div className="mt-4 text-sm text-gray-600">
+            {fetchProgress.message || (fetchProgress.pages === 0
+              ? 'Fetching run details...'
+              : `Fetched ${fetchProgress.steps} steps (${fetchProgress.pages} ${fetchProgress.pages === 1 ? 'page' : 'pages'})...`)}
+            <div className="mt-1 h-1 w-full bg-gray-200 rounded overflow-hidden">
+              <div className="h-1 w-1/3 bg-blue-500 animate-pulse" />
+            </div>
+          </div>
+        )}
         {error && (
           <div className="mt-4 p-4 bg-red-50 text-red-700 border border-red-200 rounded">
             <div className="font-semibold">Error:</div>
@@ -662,71 +4228,146 @@ const OpenAIAssistantDebugger = () => {
           <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded">
             <div className="font-semibold mb-2">Debug Information:</div>
             
-            <div className="mb-4">
-              <h3 className="font-medium text-lg mb-1">Run Request:</h3>
-              <p className="mb-1"><span className="font-medium">URL:</span> {debugInfo.runUrl}</p>
-              <p className="mb-1"><span className="font-medium">Headers:</span></p>
-              <pre className="bg-gray-100 p-2 rounded text-sm mb-2 overflow-auto">
-                {JSON.stringify(debugInfo.runHeaders, null, 2)}
-              </pre>
-              
-              {debugInfo.runStatus && (
-                <>
-                  <p className="mb-1">
-                    <span className="font-medium">Status:</span> {debugInfo.runStatus} {debugInfo.runStatusText}
-                  </p>
-                  <p className="mb-1"><span className="font-medium">Response:</span></p>
-                  <pre className="bg-gray-100 p-2 rounded text-sm overflow-auto max-h-40">
-                    {typeof debugInfo.runResponse === 'object' 
-                      ? JSON.stringify(debugInfo.runResponse, null, 2) 
-                      : debugInfo.runResponse}
-                  </pre>
-                </>
-              )}
-            </div>
-            
-            <div>
-              <h3 className="font-medium text-lg mb-1">Steps Request:</h3>
-              <p className="mb-1"><span className="font-medium">URL:</span> {debugInfo.stepsUrl}</p>
-              <p className="mb-1"><span className="font-medium">Headers:</span></p>
-              <pre className="bg-gray-100 p-2 rounded text-sm mb-2 overflow-auto">
-                {JSON.stringify(debugInfo.stepsHeaders, null, 2)}
-              </pre>
-              
-              {debugInfo.stepsStatus && (
-                <>
-                  <p className="mb-1">
-                    <span className="font-medium">Status:</span> {debugInfo.stepsStatus} {debugInfo.stepsStatusText}
-                  </p>
-                  <p className="mb-1"><span className="font-medium">Response:</span></p>
-                  <pre className="bg-gray-100 p-2 rounded text-sm overflow-auto max-h-40">
-                    {typeof debugInfo.stepsResponse === 'object' 
-                      ? JSON.stringify(debugInfo.stepsResponse, null, 2) 
-                      : debugInfo.stepsResponse}
-                  </pre>
-                </>
-              )}
-            </div>
+            {DEBUG_REQUESTS.map(([debugKey, title]) => renderDebugRequest(debugKey, title))}
           </div>
         )}
       </div>
 
+      {showAnalytics && renderAnalytics()}
+
+      {/* Thread run browser */}
+      {threadRuns && (
+        <div className="mb-4 p-4 bg-white rounded-lg shadow">
+          <div className="flex items-center justify-between mb-2">
+            <div className="text-lg font-semibold">
+              Runs in {threadId} ({threadRuns.length})
+            </div>
+            <button
+              onClick={() => setThreadRuns(null)}
+              className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              Close
+            </button>
+          </div>
+          {threadRuns.length === 0 ? (
+            <p className="text-gray-600">This thread has no runs.</p>
+          ) : (
+            <div className="overflow-auto max-h-72">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-gray-100 sticky top-0">
+                  <tr>
+                    {THREAD_RUN_COLUMNS.map(column => (
+                      <th
+                        key={column.key}
+                        onClick={() => toggleThreadRunsSort(column.key)}
+                        className="px-2 py-1 font-semibold cursor-pointer select-none whitespace-nowrap"
+                      >
+                        {column.label}
+                        {threadRunsSort.key === column.key && (threadRunsSort.direction === 'asc' ? ' ▲' : ' ▼')}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {getSortedThreadRuns().map(run => (
+                    <tr
+                      key={run.id}
+                      onClick={() => openThreadRun(run)}
+                      className={`border-t border-gray-200 cursor-pointer hover:bg-blue-50 ${runData && runData.id === run.id ? 'bg-red-50' : ''}`}
+                    >
+                      <td className="px-2 py-1 font-mono">{run.id}</td>
+                      <td className="px-2 py-1">{run.status}</td>
+                      <td className="px-2 py-1">{run.model || 'N/A'}</td>
+                      <td className="px-2 py-1 whitespace-nowrap">{formatDateTime(run.created_at * 1000)}</td>
+                      <td className="px-2 py-1 whitespace-nowrap">{formatDateTime(getEndedAt(run) * 1000)}</td>
+                      <td className="px-2 py-1">{formatDuration(getRunDuration(run))}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Content area */}
       {runData && (
         <div className="flex flex-col flex-grow">
           <div className="text-lg font-semibold mb-2">
             Run Timeline
+            {following && (
+              <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-green-100 text-green-800 rounded animate-pulse">
+                LIVE
+              </span>
+            )}
+            {runData.source && runData.source.type === 'file' && (
+              <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-gray-200 text-gray-700 rounded">
+                Imported from {runData.source.name}
+              </span>
+            )}
+            {runData.source && runData.source.profile && renderEnvironmentBadge(runData.source.profile, 'ml-2')}
+            {runData.stream && (
+              <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-blue-100 text-blue-800 rounded">
+                Streamed
+                {runData.stream.timeToFirstToken !== null && ` · first token after ${formatLatency(runData.stream.timeToFirstToken)}`}
+              </span>
+            )}
+            {runData.source && runData.source.type === 'history' && (
+              <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-gray-200 text-gray-700 rounded">
+                Cached copy from {formatDateTime(Date.parse(runData.source.cachedAt))}
+              </span>
+            )}
+            {currentHistoryEntry && (
+              <button
+                onClick={() => updateHistoryEntry(currentHistoryEntry.key, { starred: !currentHistoryEntry.starred })}
+                title={currentHistoryEntry.starred ? 'Unstar this run' : 'Star this run'}
+                className={`ml-2 text-lg font-normal leading-none ${currentHistoryEntry.starred ? 'text-yellow-500' : 'text-gray-400 hover:text-yellow-500'}`}
+              >
+                {currentHistoryEntry.starred ? '★' : '☆'}
+              </button>
+            )}
+            {!compareData && !showCompareForm && !runData.responses && (
+              <button
+                onClick={() => setShowCompareForm(true)}
+                className="ml-4 px-3 py-1 text-sm font-normal bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+              >
+                Compare with...
+              </button>
+            )}
+            {!compareData && (
+              <>
+                <button
+                  onClick={() => exportTimeline('svg')}
+                  className="ml-2 px-3 py-1 text-sm font-normal bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+                >
+                  Export SVG
+                </button>
+                <button
+                  onClick={() => exportTimeline('png')}
+                  className="ml-2 px-3 py-1 text-sm font-normal bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+                >
+                  Export PNG
+                </button>
+              </>
+            )}
           </div>
           
-          {/* Timeline panel - keep this fixed at the top */}
-          <div className="h-64 bg-white p-4 rounded-lg shadow mb-4 sticky top-0 z-10">
-            <WaterfallTimeline 
-              data={timelineData} 
-              runStart={runData.started_at}
-              runEnd={runData.completed_at}
-              onStepClick={scrollToStep}
-            />
-          </div>
+          {showCompareForm && renderCompareForm()}
+          
+          {compareData ? renderCompareView() : (
+            /* Timeline panel - keep this fixed at the top */
+            <div ref={timelineContainerRef} className="h-64 bg-white p-4 rounded-lg shadow mb-4 sticky top-0 z-10">
+              <WaterfallTimeline 
+                data={timelineData} 
+                runStart={runData.started_at}
+                runEnd={runData.completed_at}
+                onStepClick={scrollToStep}
+                markers={timelineMarkers}
+              />
+            </div>
+          )}
+          
+          {renderTokenBar()}
           
           {/* Split into separate containers - run summary and details */}
           <div className="flex flex-col flex-grow overflow-hidden">
@@ -737,40 +4378,108 @@ const OpenAIAssistantDebugger = () => {
               </div>
               <div className="bg-white p-4 rounded-lg shadow">
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                  <p><span className="font-semibold">Run ID:</span> {runData.id}</p>
-                  <p><span className="font-semibold">Thread ID:</span> {runData.thread_id}</p>
-                  <p><span className="font-semibold">Assistant ID:</span> {runData.assistant_id}</p>
-                  <p><span className="font-semibold">Status:</span> {runData.status}</p>
+                  {runData.responses ? (
+                    <>
+                      <p><span className="font-semibold">Response ID:</span> {runData.id}</p>
+                      <p>
+                        <span className="font-semibold">Turns:</span> {runData.responses.length}
+                        {runData.source && runData.source.truncatedAt && (
+                          <span className="ml-1 text-gray-600">(chain continues before {runData.source.truncatedAt})</span>
+                        )}
+                      </p>
+                      <p><span className="font-semibold">Model:</span> {runData.model}</p>
+                    </>
+                  ) : (
+                    <>
+                      <p><span className="font-semibold">Run ID:</span> {runData.id}</p>
+                      <p><span className="font-semibold">Thread ID:</span> {runData.thread_id}</p>
+                      <p><span className="font-semibold">Assistant ID:</span> {runData.assistant_id}</p>
+                    </>
+                  )}
+                  <p>
+                    <span className="font-semibold">Status:</span>{' '}
+                    <span className={FAILED_STATUSES.includes(runData.status) ? 'text-red-700 font-semibold' : ''}>{runData.status}</span>
+                  </p>
                   <p><span className="font-semibold">Started:</span> {formatTime(runData.started_at)}</p>
-                  <p><span className="font-semibold">Completed:</span> {formatTime(runData.completed_at)}</p>
+                  <p><span className="font-semibold">Completed:</span> {runData.isLive ? 'In progress' : formatTime(runData.completed_at)}</p>
                   <p><span className="font-semibold">Total Duration:</span> {formatDuration(runData.completed_at - runData.started_at)}</p>
+                  <p>
+                    <span className="font-semibold">Steps:</span> {runData.steps.length}
+                    {runData.stepsTruncated && <span className="ml-1 text-red-600">(incomplete - fetch was cancelled)</span>}
+                  </p>
                 </div>
+                {renderRunProblems()}
+                {renderUsagePanel()}
+                {renderRunConfiguration()}
+                {renderStreamEvents()}
               </div>
             </div>
             
-            {/* Steps section - this is the part that scrolls */}
-            <div className="text-lg font-semibold mb-2">Steps</div>
-            <div className="flex-grow overflow-auto">
-              {runData.steps.map((step, index) => (
-                <div 
-                  key={step.id}
-                  ref={el => stepRefs.current[index] = el}
-                  className={`mb-4 p-4 bg-white border rounded-lg shadow ${selectedStepIndex === index ? 'border-red-500 bg-red-50' : 'border-gray-300'}`}
-                >
-                  <h3 className="text-lg font-medium">{index + 1}. {step.type || 'Unknown Step Type'}</h3>
-                  <p><span className="font-semibold">Status:</span> {step.status || 'Unknown'}</p>
-                  <p><span className="font-semibold">Started:</span> {formatTime(step.started_at)}</p>
-                  <p><span className="font-semibold">Completed:</span> {formatTime(step.completed_at)}</p>
-                  <p><span className="font-semibold">Duration:</span> {formatDuration(step.completed_at - step.started_at)}</p>
-                  
-                  <div className="mt-2">
-                    <p className="font-semibold">Details:</p>
-                    <div className="mt-1 bg-gray-100 p-2 rounded overflow-auto max-h-96">
-                      {renderStepDetails(step)}
-                    </div>
-                  </div>
+            <div className="flex flex-col lg:flex-row flex-grow gap-4 overflow-hidden">
+              <div className="flex flex-col flex-grow overflow-hidden lg:w-2/3">
+                {/* Steps section - this is the part that scrolls */}
+                <div className="text-lg font-semibold mb-2">Steps</div>
+                {renderStepFilter()}
+                <div className="flex-grow overflow-auto">
+                  {runData.steps.map((step, index) => {
+                    // Steps left out by the filter are hidden, unless selected on the timeline
+                    if (matchingStepIndexes && !matchingStepIndexes.has(index) && index !== selectedStepIndex) return null;
+                    
+                    return (
+                      <div 
+                        key={step.id}
+                        ref={el => stepRefs.current[index] = el}
+                        className={`mb-4 p-4 bg-white border rounded-lg shadow ${selectedStepIndex === index ? 'border-red-500 bg-red-50' : (FAILED_STATUSES.includes(step.status) ? 'border-red-300 border-l-4' : 'border-gray-300')}`}
+                      >
+                        <h3 className="text-lg font-medium">{index + 1}. {step.type || 'Unknown Step Type'}</h3>
+                        <p><span className="font-semibold">Status:</span> {step.status || 'Unknown'}</p>
+                        <p><span className="font-semibold">Started:</span> {formatTime(step.started_at)}</p>
+                        <p><span className="font-semibold">Completed:</span> {formatTime(step.completed_at)}</p>
+                        <p><span className="font-semibold">Duration:</span> {formatDuration(step.ended_at - step.started_at)}</p>
+                        {step.first_delta_at && (
+                          <p><span className="font-semibold">First Delta:</span> {formatLatency(step.first_delta_at - step.started_at)} after the step was created</p>
+                        )}
+                        {step.failed_at && <p><span className="font-semibold">Failed:</span> {formatTime(step.failed_at * 1000)}</p>}
+                        {step.cancelled_at && <p><span className="font-semibold">Cancelled:</span> {formatTime(step.cancelled_at * 1000)}</p>}
+                        {step.expired_at && <p><span className="font-semibold">Expired:</span> {formatTime(step.expired_at * 1000)}</p>}
+                        {step.last_error && (
+                          <p className="mt-1 p-2 bg-red-50 text-red-700 border border-red-200 rounded">
+                            <span className="font-semibold">Error{step.last_error.code ? ` (${step.last_error.code})` : ''}:</span> {renderHighlighted(step.last_error.message)}
+                          </p>
+                        )}
+                        {step.usage && (
+                          <p>
+                            <span className="font-semibold">Tokens:</span> {formatTokens(step.usage.total_tokens)}
+                            {' '}({formatTokens(step.usage.prompt_tokens)} prompt, {formatTokens(step.usage.completion_tokens)} completion)
+                            {' '}&middot; {formatCost(estimateCost(step.usage, findModelPrice(modelPrices, runData.model)))}
+                          </p>
+                        )}
+                      
+                        <div className="mt-2">
+                          <p className="font-semibold">Details:</p>
+                          <div className="mt-1 bg-gray-100 p-2 rounded overflow-auto max-h-96">
+                            {renderStepDetails(step)}
+                          </div>
+                        </div>
+                      </div>
+                    );
+                  })}
                 </div>
-              ))}
+              </div>
+              
+              {/* Conversation transcript */}
+              <div className="flex flex-col overflow-hidden lg:w-1/3">
+                <div className="text-lg font-semibold mb-2">Transcript</div>
+                <div className="flex-grow overflow-auto bg-white p-4 rounded-lg shadow">
+                  {runData.messagesError && (
+                    <p className="mb-2 text-sm text-red-700">Could not load messages: {runData.messagesError}</p>
+                  )}
+                  {runData.messages.length === 0 && !runData.messagesError && (
+                    <p className="text-gray-600">No messages</p>
+                  )}
+                  {runData.messages.map(message => renderMessage(message))}
+                </div>
+              </div>
             </div>
           </div>
         </div>
@@ -0,0 +1,72 @@
+// Formatting helpers shared by the run viewer. Timestamps are JavaScript milliseconds.
+
+// Pretty-print a string holding JSON, returning it unchanged if it does not parse
+export const formatJsonString = (value) => {
+  try {
+    return JSON.stringify(JSON.parse(value), null, 2);
+  } catch (e) {
+    return value;
+  }
+};
+
+export const formatTime = (timestamp) => {
+  if (!timestamp) return 'N/A';
+  const date = new Date(timestamp);
+  // Remove .000 if milliseconds are zero
+  const milliseconds = date.getMilliseconds();
+  if (milliseconds === 0) {
+    return date.toLocaleTimeString();
+  }
+  return date.toLocaleTimeString() + '.' + milliseconds.toString().padStart(3, '0');
+};
+
+export const formatDateTime = (timestamp) => {
+  if (!timestamp) return 'N/A';
+  return `${new Date(timestamp).toLocaleDateString()} ${formatTime(timestamp)}`;
+};
+
+export const formatTokens = (count) => {
+  if (count === null || count === undefined) return 'N/A';
+  return count.toLocaleString();
+};
+
+export const formatCost = (usd) => {
+  if (usd === null || usd === undefined || isNaN(usd)) return 'N/A';
+  // Keep sub-cent costs readable
+  return usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'N/A';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const formatDuration = (ms) => {
+  if (!ms || isNaN(ms)) return 'N/A';
+  
+  // Format as milliseconds for very short durations
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  
+  // Convert to seconds
+  const totalSeconds = ms / 1000;
+  
+  // Format as seconds if less than 60 seconds
+  if (totalSeconds < 60) {
+    // Remove decimal for whole seconds
+    return `${Math.floor(totalSeconds) === totalSeconds ? 
+      Math.floor(totalSeconds) : 
+      totalSeconds.toFixed(1)}s`;
+  }
+  
+  // Format as minutes and seconds for longer durations
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = Math.round(totalSeconds % 60);
+  
+  // Only include seconds if they're non-zero
+  return seconds > 0 ? `${minutes}m ${seconds}s` : `${minutes}m`;
+};
+
+// formatDuration treats 0 as missing, but whole-second timestamps make 0ms a common latency
+export const formatLatency = (ms) => (ms === 0 ? '0ms' : formatDuration(ms));
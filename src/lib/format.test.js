@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { formatDuration, formatLatency, formatTime } from './format';
+
+describe('formatDuration', () => {
+  it('shows sub-second durations in whole milliseconds', () => {
+    expect(formatDuration(1)).toBe('1ms');
+    expect(formatDuration(250.4)).toBe('250ms');
+    expect(formatDuration(999)).toBe('999ms');
+  });
+
+  it('shows whole seconds without a decimal and others with one', () => {
+    expect(formatDuration(1000)).toBe('1s');
+    expect(formatDuration(1500)).toBe('1.5s');
+    expect(formatDuration(59000)).toBe('59s');
+  });
+
+  it('shows minutes, leaving out zero seconds', () => {
+    expect(formatDuration(60000)).toBe('1m');
+    expect(formatDuration(125000)).toBe('2m 5s');
+  });
+
+  it('treats zero, missing and invalid values as unknown', () => {
+    expect(formatDuration(0)).toBe('N/A');
+    expect(formatDuration(null)).toBe('N/A');
+    expect(formatDuration(undefined)).toBe('N/A');
+    expect(formatDuration(NaN)).toBe('N/A');
+  });
+});
+
+describe('formatLatency', () => {
+  it('shows zero as a duration', () => {
+    expect(formatLatency(0)).toBe('0ms');
+    expect(formatLatency(1500)).toBe('1.5s');
+  });
+});
+
+describe('formatTime', () => {
+  it('leaves out milliseconds when there are none', () => {
+    const timestamp = Date.UTC(2024, 0, 1, 12, 30, 15);
+    expect(formatTime(timestamp)).toBe(new Date(timestamp).toLocaleTimeString());
+  });
+
+  it('appends zero-padded milliseconds', () => {
+    const timestamp = Date.UTC(2024, 0, 1, 12, 30, 15, 45);
+    expect(formatTime(timestamp)).toBe(`${new Date(timestamp).toLocaleTimeString()}.045`);
+  });
+
+  it('treats a missing timestamp as unknown', () => {
+    expect(formatTime(null)).toBe('N/A');
+    expect(formatTime(0)).toBe('N/A');
+  });
+});
@@ -0,0 +1,209 @@
+// Incident reports for a run built by processRunData. The report is first described as a list of
+// blocks, then written out as Markdown or as a self-contained HTML page:
+//   { type: 'heading', level, text }
+//   { type: 'fields', fields: [[label, value], ...] }
+//   { type: 'paragraph', text }
+//   { type: 'code', language, text }
+//   { type: 'timeline' }  where the timeline image goes
+import { FAILED_STATUSES } from './runData';
+import { formatDateTime, formatDuration, formatJsonString, formatTime, formatTokens } from './format';
+
+const messageText = (message) => (Array.isArray(message.content) ? message.content : [])
+  .map(part => {
+    if (part.type === 'text' && part.text) return part.text.value;
+    if (part.type === 'refusal') return `Refusal: ${part.refusal}`;
+    if (part.type === 'image_file' && part.image_file) return `[Image file ${part.image_file.file_id}]`;
+    if (part.type === 'image_url' && part.image_url) return `[Image ${part.image_url.url}]`;
+    return `[${part.type}]`;
+  })
+  .join('\n\n');
+
+const toolCallBlocks = (toolCall, index) => {
+  const blocks = [];
+  if (toolCall.type === 'function' && toolCall.function) {
+    blocks.push({ type: 'paragraph', text: `Tool call ${index + 1}: function ${toolCall.function.name || 'Unnamed'}` });
+    blocks.push({ type: 'code', language: 'json', text: formatJsonString(toolCall.function.arguments || '{}') });
+    blocks.push(toolCall.function.output !== null && toolCall.function.output !== undefined
+      ? { type: 'code', language: 'json', text: formatJsonString(toolCall.function.output) }
+      : { type: 'paragraph', text: 'No output submitted' });
+  } else if (toolCall.type === 'code_interpreter' && toolCall.code_interpreter) {
+    blocks.push({ type: 'paragraph', text: `Tool call ${index + 1}: code_interpreter` });
+    blocks.push({ type: 'code', language: 'python', text: toolCall.code_interpreter.input || '' });
+    (toolCall.code_interpreter.outputs || []).filter(Boolean).forEach(output => {
+      if (output.type === 'logs') blocks.push({ type: 'code', language: 'text', text: output.logs });
+      else if (output.type === 'text') blocks.push({ type: 'code', language: 'text', text: output.text });
+      else if (output.type === 'image' && output.image) {
+        blocks.push({ type: 'paragraph', text: `Image output ${output.image.file_id || output.image.url || '(inline data)'}` });
+      }
+    });
+  } else if (toolCall.type === 'file_search') {
+    const results = (toolCall.file_search && toolCall.file_search.results) || [];
+    blocks.push({ type: 'paragraph', text: `Tool call ${index + 1}: file_search (${results.length} ${results.length === 1 ? 'result' : 'results'})` });
+    if (results.length > 0) {
+      blocks.push({
+        type: 'fields',
+        fields: [...results]
+          .sort((a, b) => (b.score || 0) - (a.score || 0))
+          .map(result => [result.file_name || result.file_id, typeof result.score === 'number' ? result.score.toFixed(3) : 'N/A'])
+      });
+    }
+  } else {
+    blocks.push({ type: 'paragraph', text: `Tool call ${index + 1}: ${toolCall.type}` });
+    blocks.push({ type: 'code', language: 'json', text: JSON.stringify(toolCall, null, 2) });
+  }
+  return blocks;
+};
+
+const stepBlocks = (step, index, messages) => {
+  const blocks = [
+    { type: 'heading', level: 3, text: `${index + 1}. ${step.type || 'Unknown'}` },
+    {
+      type: 'fields',
+      fields: [
+        ['Status', step.status || 'Unknown'],
+        ['Started', formatTime(step.started_at)],
+        ['Ended', formatTime(step.ended_at)],
+        ['Duration', formatDuration(step.ended_at - step.started_at)],
+        ...(step.usage ? [['Tokens', formatTokens(step.usage.total_tokens)]] : [])
+      ]
+    }
+  ];
+  if (step.last_error) {
+    blocks.push({ type: 'paragraph', text: `Error${step.last_error.code ? ` (${step.last_error.code})` : ''}: ${step.last_error.message}` });
+  }
+
+  const details = step.step_details || {};
+  if (details.type === 'tool_calls' && Array.isArray(details.tool_calls)) {
+    details.tool_calls.filter(Boolean).forEach((toolCall, i) => blocks.push(...toolCallBlocks(toolCall, i)));
+  } else if (details.type === 'message_creation' && details.message_creation) {
+    const message = messages.find(m => m.id === details.message_creation.message_id);
+    blocks.push({ type: 'paragraph', text: message ? messageText(message) : `Message ${details.message_creation.message_id} (content not loaded)` });
+  } else if (details.type === 'reasoning' && details.reasoning) {
+    details.reasoning.summary.forEach(text => blocks.push({ type: 'paragraph', text }));
+  } else {
+    blocks.push({ type: 'code', language: 'json', text: JSON.stringify(details, null, 2) });
+  }
+  return blocks;
+};
+
+// Describe a run as report blocks. `estimatedCost` is a formatted cost, or null when unknown.
+export const buildRunReport = (run, { estimatedCost = null } = {}) => {
+  const blocks = [
+    { type: 'heading', level: 1, text: `${run.responses ? 'Response' : 'Run'} ${run.id}` },
+    {
+      type: 'fields',
+      fields: [
+        ...(run.thread_id ? [['Thread', run.thread_id]] : []),
+        ...(run.assistant_id ? [['Assistant', run.assistant_id]] : []),
+        ['Status', run.status],
+        ['Model', run.model || 'N/A'],
+        ['Started', formatDateTime(run.started_at)],
+        ['Duration', run.isLive ? `${formatDuration(run.completed_at - run.started_at)} so far` : formatDuration(run.completed_at - run.started_at)],
+        ...(run.stream && run.stream.timeToFirstToken !== null ? [['Time to first token', formatDuration(run.stream.timeToFirstToken)]] : []),
+        ['Steps', String(run.steps.length)],
+        ['Failed steps', String(run.steps.filter(step => FAILED_STATUSES.includes(step.status)).length)],
+        ['Total tokens', formatTokens(run.usage && run.usage.total_tokens)],
+        ...(estimatedCost ? [['Estimated cost', estimatedCost]] : [])
+      ]
+    }
+  ];
+
+  if (run.last_error) {
+    blocks.push({ type: 'paragraph', text: `Last error${run.last_error.code ? ` (${run.last_error.code})` : ''}: ${run.last_error.message}` });
+  }
+  if (run.incomplete_details) {
+    blocks.push({ type: 'paragraph', text: `Incomplete: ${run.incomplete_details.reason || JSON.stringify(run.incomplete_details)}` });
+  }
+  if (run.required_action && run.required_action.submit_tool_outputs) {
+    const pendingCalls = run.required_action.submit_tool_outputs.tool_calls || [];
+    blocks.push({ type: 'paragraph', text: `Required action: ${pendingCalls.length} pending tool ${pendingCalls.length === 1 ? 'call' : 'calls'}` });
+    pendingCalls.forEach((toolCall, i) => blocks.push(...toolCallBlocks(toolCall, i)));
+  }
+
+  blocks.push({ type: 'heading', level: 2, text: 'Timeline' }, { type: 'timeline' });
+  blocks.push({ type: 'heading', level: 2, text: 'Steps' });
+  run.steps.forEach((step, index) => blocks.push(...stepBlocks(step, index, run.messages || [])));
+
+  if (run.messages && run.messages.length > 0) {
+    blocks.push({ type: 'heading', level: 2, text: 'Transcript' });
+    run.messages.forEach(message => {
+      blocks.push({ type: 'heading', level: 3, text: `${message.role} · ${formatTime(message.created_at * 1000)}` });
+      blocks.push({ type: 'paragraph', text: messageText(message) });
+    });
+  }
+  return blocks;
+};
+
+// Fence long enough that backticks inside the code cannot close it
+const codeFence = (text) => '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(run => run.length + 1)));
+
+// Table cell text: pipes would end the cell and newlines the row
+const markdownCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+// `timelineImage` is a URL (usually a data: URL) of the timeline picture
+export const renderMarkdownReport = (blocks, { timelineImage = null } = {}) => blocks
+  .map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${block.text}`;
+      case 'fields':
+        return ['| | |', '|---|---|', ...block.fields.map(([label, value]) => `| ${markdownCell(label)} | ${markdownCell(value)} |`)].join('\n');
+      case 'code': {
+        const fence = codeFence(block.text);
+        return `${fence}${block.language || ''}\n${block.text}\n${fence}`;
+      }
+      case 'timeline':
+        return timelineImage ? `![Timeline](${timelineImage})` : '_Timeline not available_';
+      default:
+        return block.text;
+    }
+  })
+  .join('\n\n') + '\n';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const REPORT_STYLES = `
+body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.5rem; } h2 { font-size: 1.25rem; margin-top: 2rem; border-bottom: 1px solid #e5e7eb; } h3 { font-size: 1rem; margin-top: 1.5rem; }
+table { border-collapse: collapse; margin: 0.5rem 0; } td { padding: 0.15rem 0.75rem 0.15rem 0; vertical-align: top; } td:first-child { font-weight: 600; }
+pre { background: #f3f4f6; padding: 0.5rem; border-radius: 4px; overflow: auto; font-size: 0.85rem; }
+p { white-space: pre-wrap; } .timeline { overflow: auto; border: 1px solid #e5e7eb; border-radius: 4px; padding: 0.5rem; }
+`;
+
+// `timelineSvg` is the standalone timeline SVG markup, embedded as is
+export const renderHtmlReport = (blocks, { timelineSvg = null } = {}) => {
+  const title = blocks.find(block => block.type === 'heading');
+  const body = blocks
+    .map(block => {
+      switch (block.type) {
+        case 'heading':
+          return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+        case 'fields':
+          return `<table>${block.fields.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`;
+        case 'code':
+          return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+        case 'timeline':
+          return timelineSvg ? `<div class="timeline">${timelineSvg}</div>` : '<p><em>Timeline not available</em></p>';
+        default:
+          return `<p>${escapeHtml(block.text)}</p>`;
+      }
+    })
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title ? title.text : 'Run report')}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+${body}
+<p><small>Generated ${escapeHtml(new Date().toISOString())}</small></p>
+</body>
+</html>
+`;
+};
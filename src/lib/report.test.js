@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { buildRunReport, renderHtmlReport, renderMarkdownReport } from './report';
+import { processRunData } from './runData';
+
+const run = processRunData(
+  { id: 'run_1', thread_id: 'thread_1', assistant_id: 'asst_1', status: 'failed', created_at: 100, failed_at: 110, model: 'gpt-4o', last_error: { code: 'server_error', message: 'Boom' }, usage: { total_tokens: 42 } },
+  [
+    {
+      id: 'step_1', type: 'tool_calls', status: 'completed', created_at: 101, completed_at: 103,
+      step_details: {
+        type: 'tool_calls',
+        tool_calls: [
+          { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"<a>"}', output: '{"ok":true}' } },
+          { id: 'call_2', type: 'code_interpreter', code_interpreter: { input: 'print("```")', outputs: [{ type: 'logs', logs: '```' }] } }
+        ]
+      }
+    },
+    {
+      id: 'step_2', type: 'message_creation', status: 'failed', created_at: 104, failed_at: 110,
+      last_error: { code: 'server_error', message: 'Boom' },
+      step_details: { type: 'message_creation', message_creation: { message_id: 'msg_1' } }
+    }
+  ],
+  { messages: [{ id: 'msg_1', role: 'assistant', created_at: 105, content: [{ type: 'text', text: { value: 'Partial answer', annotations: [] } }] }] }
+);
+
+describe('buildRunReport', () => {
+  it('summarises the run and lists every step with its tool calls', () => {
+    const blocks = buildRunReport(run, { estimatedCost: '$0.0100' });
+    expect(blocks[0]).toEqual({ type: 'heading', level: 1, text: 'Run run_1' });
+    expect(blocks[1].fields).toEqual(expect.arrayContaining([['Thread', 'thread_1'], ['Failed steps', '1'], ['Estimated cost', '$0.0100']]));
+    expect(blocks).toContainEqual({ type: 'paragraph', text: 'Last error (server_error): Boom' });
+    expect(blocks).toContainEqual({ type: 'timeline' });
+    expect(blocks).toContainEqual({ type: 'code', language: 'json', text: '{\n  "q": "<a>"\n}' });
+    expect(blocks).toContainEqual({ type: 'code', language: 'python', text: 'print("```")' });
+    expect(blocks).toContainEqual({ type: 'paragraph', text: 'Partial answer' });
+  });
+
+  it('leaves out the cost when it is unknown', () => {
+    const fields = buildRunReport(run)[1].fields.map(([label]) => label);
+    expect(fields).not.toContain('Estimated cost');
+  });
+});
+
+describe('buildRunReport with file search results', () => {
+  it('shows results without a score as N/A', () => {
+    const searchRun = processRunData({ id: 'run_2', thread_id: 'thread_1', status: 'completed', created_at: 100, completed_at: 102 }, [{
+      id: 'step_3', type: 'tool_calls', status: 'completed', created_at: 100, completed_at: 101,
+      step_details: {
+        type: 'tool_calls',
+        tool_calls: [{ id: 'call_3', type: 'file_search', file_search: { results: [{ file_name: 'a.md', score: null }, { file_name: 'b.md', score: 0.5 }] } }]
+      }
+    }]);
+    expect(buildRunReport(searchRun)).toContainEqual({ type: 'fields', fields: [['b.md', '0.500'], ['a.md', 'N/A']] });
+  });
+});
+
+describe('renderMarkdownReport', () => {
+  it('fences code so backticks inside it cannot close the block', () => {
+    const markdown = renderMarkdownReport(buildRunReport(run), { timelineImage: 'data:image/png;base64,AAAA' });
+    expect(markdown).toContain('# Run run_1');
+    expect(markdown).toContain('````python\nprint("```")\n````');
+    expect(markdown).toContain('![Timeline](data:image/png;base64,AAAA)');
+  });
+
+  it('keeps table cells on one row', () => {
+    const markdown = renderMarkdownReport([{ type: 'fields', fields: [['Error', 'a | b\nc']] }]);
+    expect(markdown).toBe('| | |\n|---|---|\n| Error | a \\| b<br>c |\n');
+  });
+
+  it('notes a missing timeline', () => {
+    expect(renderMarkdownReport([{ type: 'timeline' }])).toBe('_Timeline not available_\n');
+  });
+});
+
+describe('renderHtmlReport', () => {
+  it('escapes text and embeds the timeline SVG', () => {
+    const html = renderHtmlReport(buildRunReport(run), { timelineSvg: '<svg id="timeline"></svg>' });
+    expect(html).toContain('<title>Run run_1</title>');
+    expect(html).toContain('&quot;q&quot;: &quot;&lt;a&gt;&quot;');
+    expect(html).toContain('<div class="timeline"><svg id="timeline"></svg></div>');
+  });
+});
@@ -0,0 +1,196 @@
+// Transforms from Responses API objects to the run view model built by processRunData, so a
+// response, or a chain of them linked by previous_response_id, renders with the same timeline
+// and step cards as an Assistants run. Every output item becomes a step. The API does not time
+// individual items, so each item spans the response that produced it.
+import { TERMINAL_RUN_STATUSES, processRunData } from './runData';
+
+// Responses API annotations in the shape the Assistants message renderer reads
+const convertAnnotation = (annotation) => {
+  if (annotation.type === 'file_citation') {
+    return { type: 'file_citation', text: annotation.filename || '', file_citation: { file_id: annotation.file_id } };
+  }
+  if (annotation.type === 'container_file_citation' || annotation.type === 'file_path') {
+    return { type: 'file_path', text: annotation.filename || '', file_path: { file_id: annotation.file_id } };
+  }
+  if (annotation.type === 'url_citation') {
+    return { type: 'url_citation', text: annotation.title || annotation.url, url: annotation.url };
+  }
+  return annotation;
+};
+
+const convertContentPart = (part) => {
+  if (part.type === 'input_text' || part.type === 'output_text') {
+    return {
+      type: 'text',
+      text: { value: part.text, annotations: (part.annotations || []).map(convertAnnotation) }
+    };
+  }
+  if (part.type === 'input_image') {
+    return part.file_id
+      ? { type: 'image_file', image_file: { file_id: part.file_id } }
+      : { type: 'image_url', image_url: { url: part.image_url } };
+  }
+  return part;
+};
+
+// A Responses message item as an Assistants thread message, for the transcript and step cards
+const toThreadMessage = (item, createdAt, runId) => ({
+  id: item.id,
+  role: item.role,
+  created_at: createdAt,
+  run_id: runId,
+  content: typeof item.content === 'string'
+    ? [{ type: 'text', text: { value: item.content, annotations: [] } }]
+    : (item.content || []).map(convertContentPart),
+  // Files sent as input_file parts are listed like Assistants attachments
+  attachments: (Array.isArray(item.content) ? item.content : [])
+    .filter(part => part.type === 'input_file' && part.file_id)
+    .map(part => ({ file_id: part.file_id }))
+});
+
+// Details of a Responses tool call item in the Assistants tool call shape
+const toToolCall = (item, outputsByCallId) => {
+  switch (item.type) {
+    case 'function_call':
+      return {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments, output: outputsByCallId.has(item.call_id) ? outputsByCallId.get(item.call_id) : null }
+      };
+    case 'file_search_call':
+      return {
+        id: item.id,
+        type: 'file_search',
+        file_search: {
+          queries: item.queries || [],
+          results: (item.results || []).map(result => ({
+            file_id: result.file_id,
+            file_name: result.filename,
+            score: result.score,
+            content: result.text ? [{ type: 'text', text: result.text }] : []
+          }))
+        }
+      };
+    case 'code_interpreter_call':
+      return {
+        id: item.id,
+        type: 'code_interpreter',
+        code_interpreter: {
+          input: item.code,
+          outputs: (item.outputs || []).map(output =>
+            (output.type === 'image' ? { type: 'image', image: { url: output.url } } : output))
+        }
+      };
+    case 'web_search_call':
+      return { id: item.id, type: 'web_search', web_search: { action: item.action || null, status: item.status } };
+    default:
+      return null;
+  }
+};
+
+// When a response stopped, in Unix seconds. Responses without completed_at are treated as
+// ending when they were created.
+const getResponseEndedAt = (response) =>
+  (TERMINAL_RUN_STATUSES.includes(response.status) ? response.completed_at || response.created_at : null);
+
+// Build the view model for a chain of responses. `inputItemsByResponse` maps a response ID to
+// its input items, oldest first. The result has everything processRunData returns plus
+// `responses` and `inputItems`, the raw objects kept for export.
+export const processResponseChain = (responses, inputItemsByResponse, { openEndFallback = Date.now(), source = null } = {}) => {
+  const chain = [...responses].sort((a, b) => a.created_at - b.created_at);
+  const first = chain[0];
+  const last = chain[chain.length - 1];
+  const runId = last.id;
+
+  // Function outputs are sent as input to the response after the call
+  const outputsByCallId = new Map();
+  chain.forEach(response => (inputItemsByResponse[response.id] || []).forEach(item => {
+    if (item.type === 'function_call_output') outputsByCallId.set(item.call_id, item.output);
+  }));
+
+  const messages = [];
+  const steps = [];
+  chain.forEach(response => {
+    (inputItemsByResponse[response.id] || [])
+      .filter(item => item.type === 'message' || (!item.type && item.role))
+      .forEach(item => messages.push(toThreadMessage(item, response.created_at, null)));
+
+    const endedAt = getResponseEndedAt(response);
+    (response.output || []).forEach((item, itemIndex) => {
+      const step = {
+        id: item.id || `${response.id}_${itemIndex}`,
+        response_id: response.id,
+        created_at: response.created_at,
+        completed_at: response.status === 'completed' ? endedAt : null,
+        failed_at: response.status === 'failed' ? endedAt : null,
+        cancelled_at: response.status === 'cancelled' ? endedAt : null,
+        expired_at: null,
+        status: item.status || response.status,
+        last_error: response.status === 'failed' ? response.error : null,
+        usage: null
+      };
+      // Incomplete responses stop without any of the other end timestamps
+      if (response.status === 'incomplete') step.completed_at = endedAt;
+
+      if (item.type === 'message') {
+        messages.push(toThreadMessage(item, response.created_at, runId));
+        steps.push({ ...step, type: 'message_creation', step_details: { type: 'message_creation', message_creation: { message_id: item.id } } });
+        return;
+      }
+      if (item.type === 'reasoning') {
+        steps.push({
+          ...step,
+          type: 'reasoning',
+          step_details: {
+            type: 'reasoning',
+            reasoning: {
+              summary: (item.summary || []).map(part => part.text),
+              encrypted: Boolean(item.encrypted_content)
+            }
+          }
+        });
+        return;
+      }
+      const toolCall = toToolCall(item, outputsByCallId);
+      steps.push(toolCall
+        ? { ...step, type: 'tool_calls', step_details: { type: 'tool_calls', tool_calls: [toolCall] } }
+        : { ...step, type: item.type, step_details: item });
+    });
+  });
+
+  // Token usage summed over the chain, with Responses names mapped to the Assistants ones
+  const usage = chain.some(response => response.usage)
+    ? chain.reduce((total, response) => {
+      const responseUsage = response.usage || {};
+      return {
+        prompt_tokens: total.prompt_tokens + (responseUsage.input_tokens || 0),
+        completion_tokens: total.completion_tokens + (responseUsage.output_tokens || 0),
+        total_tokens: total.total_tokens + (responseUsage.total_tokens || 0)
+      };
+    }, { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 })
+    : null;
+
+  const endedAt = getResponseEndedAt(last);
+  const runInfo = {
+    ...last,
+    id: runId,
+    thread_id: null,
+    assistant_id: null,
+    status: last.status,
+    created_at: first.created_at,
+    completed_at: endedAt,
+    failed_at: null,
+    cancelled_at: null,
+    expired_at: null,
+    last_error: last.error || null,
+    incomplete_details: last.incomplete_details || null,
+    required_action: null,
+    usage
+  };
+
+  return {
+    ...processRunData(runInfo, steps, { messages, openEndFallback, source }),
+    responses: chain,
+    inputItems: inputItemsByResponse
+  };
+};
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { processResponseChain } from './responseData';
+import { prepareTimelineData } from './runData';
+
+// Raw Responses API objects; timestamps are Unix seconds
+const firstResponse = {
+  id: 'resp_1',
+  status: 'completed',
+  created_at: 100,
+  completed_at: 103,
+  model: 'o4-mini',
+  previous_response_id: null,
+  output: [
+    { id: 'rs_1', type: 'reasoning', summary: [{ type: 'summary_text', text: 'Need the weather.' }] },
+    { id: 'fc_1', type: 'function_call', call_id: 'call_1', name: 'get_weather', arguments: '{"city":"Lisbon"}', status: 'completed' }
+  ],
+  usage: { input_tokens: 100, output_tokens: 20, total_tokens: 120 }
+};
+
+const secondResponse = {
+  id: 'resp_2',
+  status: 'completed',
+  created_at: 106,
+  completed_at: 110,
+  model: 'o4-mini',
+  previous_response_id: 'resp_1',
+  output: [
+    { id: 'ws_1', type: 'web_search_call', status: 'completed', action: { type: 'search', query: 'Lisbon warnings' } },
+    {
+      id: 'msg_2',
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'output_text', text: 'Sunny.', annotations: [{ type: 'url_citation', url: 'https://example.com', title: 'Example' }] }]
+    }
+  ],
+  usage: { input_tokens: 200, output_tokens: 10, total_tokens: 210 }
+};
+
+const inputItems = {
+  resp_1: [{ id: 'msg_1', type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Weather in Lisbon?' }] }],
+  resp_2: [{ id: 'fco_1', type: 'function_call_output', call_id: 'call_1', output: '{"temp_c":22}' }]
+};
+
+describe('processResponseChain', () => {
+  // Responses arrive newest first when walking previous_response_id
+  const run = processResponseChain([secondResponse, firstResponse], inputItems);
+
+  it('spans the chain from the first response to the end of the last', () => {
+    expect(run).toMatchObject({ id: 'resp_2', status: 'completed', started_at: 100000, completed_at: 110000, isLive: false });
+    expect(run.responses.map(response => response.id)).toEqual(['resp_1', 'resp_2']);
+  });
+
+  it('turns each output item into a step spanning its response', () => {
+    expect(run.steps.map(step => [step.type, step.started_at, step.ended_at])).toEqual([
+      ['reasoning', 100000, 103000],
+      ['tool_calls', 100000, 103000],
+      ['tool_calls', 106000, 110000],
+      ['message_creation', 106000, 110000]
+    ]);
+    expect(run.steps[0].step_details.reasoning.summary).toEqual(['Need the weather.']);
+    expect(run.steps[2].step_details.tool_calls[0]).toMatchObject({ type: 'web_search', web_search: { action: { query: 'Lisbon warnings' } } });
+  });
+
+  it('pairs function calls with the outputs sent to the next response', () => {
+    expect(run.steps[1].step_details.tool_calls[0]).toEqual({
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'get_weather', arguments: '{"city":"Lisbon"}', output: '{"temp_c":22}' }
+    });
+  });
+
+  it('builds the transcript from input and output messages', () => {
+    expect(run.messages.map(message => [message.id, message.role, message.content[0].text.value])).toEqual([
+      ['msg_1', 'user', 'Weather in Lisbon?'],
+      ['msg_2', 'assistant', 'Sunny.']
+    ]);
+    expect(run.messages[1].content[0].text.annotations[0]).toEqual({ type: 'url_citation', text: 'Example', url: 'https://example.com' });
+  });
+
+  it('sums token usage over the chain', () => {
+    expect(run.usage).toEqual({ prompt_tokens: 300, completion_tokens: 30, total_tokens: 330 });
+  });
+
+  it('attributes the time between turns to client tool execution', () => {
+    const gap = prepareTimelineData(run, null).find(row => row.isGap);
+    expect(gap).toMatchObject({ name: 'client tool execution', actualStart: 3000, actualEnd: 6000 });
+  });
+
+  it('keeps an unfinished response open', () => {
+    const live = processResponseChain([{ ...firstResponse, status: 'in_progress', completed_at: null }], {}, { openEndFallback: 150000 });
+    expect(live).toMatchObject({ isLive: true, completed_at: 150000 });
+    expect(live.steps[0].ended_at).toBeNull();
+  });
+});
@@ -0,0 +1,327 @@
+// Pure transforms from Assistants API run and run step objects to what the viewer shows.
+// API timestamps are Unix seconds; everything produced here is in JavaScript milliseconds.
+import * as d3 from 'd3';
+import { formatDuration } from './format';
+
+// Run statuses after which the run and its steps no longer change
+export const TERMINAL_RUN_STATUSES = ['completed', 'failed', 'cancelled', 'expired', 'incomplete'];
+
+// Unix timestamp (seconds) at which a run or run step stopped, whichever way it ended
+export const getEndedAt = (item) =>
+  item.completed_at || item.failed_at || item.cancelled_at || item.expired_at || null;
+
+// Statuses of runs and run steps that ended without completing
+export const FAILED_STATUSES = ['failed', 'cancelled', 'expired', 'incomplete'];
+
+// Run duration in milliseconds, or null while the run is still going
+export const getRunDuration = (run) => {
+  const endedAt = getEndedAt(run);
+  return endedAt && run.created_at ? (endedAt - run.created_at) * 1000 : null;
+};
+
+// Function calls are labelled by the function name, built-in tools by their type
+export const getToolCallLabel = (toolCall) => (
+  toolCall.type === 'function' && toolCall.function ? toolCall.function.name : toolCall.type
+);
+
+// Function calls pause the run in requires_action until the client submits their outputs
+export const hasClientToolCalls = (step) => {
+  const details = step.step_details;
+  return Boolean(details && details.type === 'tool_calls' && Array.isArray(details.tool_calls) &&
+    details.tool_calls.some(toolCall => toolCall && toolCall.type === 'function'));
+};
+
+// Function names or tool types called by a step, in call order
+export const getStepToolNames = (step) => {
+  const details = step.step_details;
+  if (!details || details.type !== 'tool_calls' || !Array.isArray(details.tool_calls)) return [];
+  return details.tool_calls.filter(Boolean).map(getToolCallLabel);
+};
+
+// Identity of a step for comparing two runs: what it did, not when
+export const getStepSignature = (step) => `${step.type}:${getStepToolNames(step).join(',')}`;
+
+// Align two step sequences by their longest common subsequence of signatures. Returns rows of
+// { a, b } step indexes where one side is null for steps only present in the other run.
+export const alignStepSequences = (stepsA, stepsB) => {
+  const keysA = stepsA.map(getStepSignature);
+  const keysB = stepsB.map(getStepSignature);
+  const lengths = Array.from({ length: keysA.length + 1 }, () => new Array(keysB.length + 1).fill(0));
+  
+  for (let i = keysA.length - 1; i >= 0; i--) {
+    for (let j = keysB.length - 1; j >= 0; j--) {
+      lengths[i][j] = keysA[i] === keysB[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < keysA.length || j < keysB.length) {
+    if (i < keysA.length && j < keysB.length && keysA[i] === keysB[j]) {
+      rows.push({ a: i++, b: j++ });
+    } else if (j < keysB.length && (i === keysA.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      rows.push({ a: null, b: j++ });
+    } else {
+      rows.push({ a: i++, b: null });
+    }
+  }
+  return rows;
+};
+
+// The thread messages in the transcript of a run: its own, and the user messages that led up
+// to it. Replies of earlier runs, though older than the run, are left out.
+export const selectRunMessages = (threadMessages, runInfo) => threadMessages.filter(message =>
+  message.run_id === runInfo.id || (message.role === 'user' && !message.run_id && message.created_at <= runInfo.created_at)
+);
+
+// The leading messages that can no longer change, i.e. up to the first one still being written.
+// Only the messages after these need fetching again while a run is followed.
+export const getSettledMessages = (messages) => {
+  const firstOpen = messages.findIndex(message => message.status === 'in_progress');
+  return firstOpen === -1 ? messages : messages.slice(0, firstOpen);
+};
+
+// Build the view model from the raw run and step objects
+// `openEndFallback` is used as the end of a run that has not finished yet (in milliseconds)
+export const processRunData = (runInfo, steps, {
+  messages = [],
+  messagesError = null,
+  assistant = null,
+  assistantError = null,
+  stepsTruncated = false,
+  openEndFallback = Date.now(),
+  source = null
+} = {}) => {
+  // Transform Unix timestamps to JavaScript milliseconds
+  const transformedSteps = steps.map(step => ({
+    ...step,
+    // Convert Unix timestamps (seconds) to JavaScript timestamps (milliseconds)
+    started_at: step.created_at * 1000,
+    completed_at: step.completed_at ? step.completed_at * 1000 : null,
+    // When the step stopped, including steps that failed, were cancelled or expired
+    ended_at: getEndedAt(step) ? getEndedAt(step) * 1000 : null
+  }));
+  
+  // Sort steps by created_at to ensure they're in chronological order
+  transformedSteps.sort((a, b) => a.created_at - b.created_at);
+  
+  const isLive = !TERMINAL_RUN_STATUSES.includes(runInfo.status);
+  const endedAt = getEndedAt(runInfo);
+  
+  return {
+    id: runInfo.id,
+    thread_id: runInfo.thread_id,
+    assistant_id: runInfo.assistant_id || null,
+    status: runInfo.status,
+    last_error: runInfo.last_error || null,
+    incomplete_details: runInfo.incomplete_details || null,
+    required_action: runInfo.required_action || null,
+    model: runInfo.model,
+    usage: runInfo.usage || null,
+    started_at: runInfo.created_at * 1000, // Convert Unix timestamp to JavaScript milliseconds
+    completed_at: endedAt ? endedAt * 1000 : openEndFallback,
+    isLive,
+    steps: transformedSteps,
+    messages,
+    messagesError,
+    assistant,
+    assistantError,
+    stepsTruncated,
+    // Raw API objects, kept untouched for export
+    rawRun: runInfo,
+    rawSteps: steps,
+    source
+  };
+};
+
+// Rows of the waterfall timeline for a run built by processRunData: one per step, one per tool
+// call inside a step, and one per gap where no step was running. Times are relative to the run start.
+// With a set of `matchingIndexes` (steps left by a filter), every other row is marked `isDimmed`.
+export const prepareTimelineData = (run, selectedIndex, matchingIndexes = null) => {
+  if (!run || !run.steps || run.steps.length === 0) return [];
+  
+  const startTime = run.started_at;
+  const endTime = run.completed_at;
+  const result = [];
+  
+  // Check for initial gap between run start and first step
+  if (run.steps.length > 0) {
+    const firstStep = run.steps[0];
+    if (firstStep.started_at > startTime) {
+      const gapDuration = firstStep.started_at - startTime;
+      result.push({
+        name: `<unknown>`,
+        actualStart: 0,
+        duration: gapDuration,
+        actualEnd: gapDuration,
+        index: -1, // Special index for gaps
+        isGap: true,
+        isDimmed: matchingIndexes !== null,
+        durationLabel: formatDuration(gapDuration)
+      });
+    }
+  }
+  
+  // Process all steps and add gaps between them
+  run.steps.forEach((step, index) => {
+    // Add the current step
+    const actualStart = step.started_at - startTime;
+    const actualEnd = step.ended_at ? step.ended_at - startTime : (endTime - startTime);
+    const duration = actualEnd - actualStart;
+    
+    result.push({
+      name: `${index + 1}. ${step.type || 'Unknown'}`,
+      actualStart,
+      duration,
+      actualEnd,
+      index,
+      isSelected: selectedIndex === index,
+      isGap: false,
+      isDimmed: matchingIndexes !== null && !matchingIndexes.has(index),
+      status: step.status,
+      isFailed: FAILED_STATUSES.includes(step.status),
+      durationLabel: formatDuration(duration)
+    });
+    
+    // One lane per tool call, so parallel calls show up side by side. The API only times
+    // whole steps, so every call spans its step.
+    const toolCalls = step.step_details && step.step_details.type === 'tool_calls' && Array.isArray(step.step_details.tool_calls)
+      ? step.step_details.tool_calls.filter(Boolean)
+      : [];
+    toolCalls.forEach((toolCall, callIndex) => {
+      result.push({
+        name: `${index + 1}.${callIndex + 1} ${getToolCallLabel(toolCall)}`,
+        actualStart,
+        duration,
+        actualEnd,
+        index,
+        isSelected: selectedIndex === index,
+        isGap: false,
+        isDimmed: matchingIndexes !== null && !matchingIndexes.has(index),
+        isToolCall: true,
+        status: step.status,
+        isFailed: FAILED_STATUSES.includes(step.status),
+        durationLabel: formatDuration(duration)
+      });
+    });
+    
+    // Check for gap after this step
+    const nextStep = index < run.steps.length - 1 ? run.steps[index + 1] : null;
+    if (nextStep && step.ended_at && step.ended_at < nextStep.started_at) {
+      const gapStart = step.ended_at - startTime;
+      const gapEnd = nextStep.started_at - startTime;
+      const gapDuration = gapEnd - gapStart;
+      
+      result.push({
+        // After function calls the run waited in requires_action for the client's outputs
+        name: hasClientToolCalls(step) ? 'client tool execution' : `<unknown>`,
+        actualStart: gapStart,
+        duration: gapDuration,
+        actualEnd: gapEnd,
+        index: -1, // Special index for gaps
+        isGap: true,
+        isDimmed: matchingIndexes !== null,
+        durationLabel: formatDuration(gapDuration)
+      });
+    }
+  });
+  
+  // Check for gap after the last step to the end of the run
+  const lastStep = run.steps[run.steps.length - 1];
+  if (lastStep && lastStep.ended_at && lastStep.ended_at < endTime) {
+    const gapStart = lastStep.ended_at - startTime;
+    const gapDuration = endTime - lastStep.ended_at;
+    
+    result.push({
+      name: `<unknown>`,
+      actualStart: gapStart,
+      duration: gapDuration,
+      actualEnd: endTime - startTime,
+      index: -1, // Special index for gaps
+      isGap: true,
+      isDimmed: matchingIndexes !== null,
+      durationLabel: formatDuration(gapDuration)
+    });
+  }
+  
+  return result;
+};
+
+// Latency analytics across many runs. Every value is in milliseconds and is taken from a run
+// built by processRunData.
+export const ANALYTICS_PERCENTILES = [['p50', 0.5], ['p90', 0.9], ['p99', 0.99]];
+
+// Each line (or comma separated entry) of the analytics input is a thread ID, which stands for
+// all of its runs, a "thread_id run_id" pair, or a bare run ID in `defaultThreadId`
+export const parseAnalyticsTargets = (input, defaultThreadId) => input
+  .split(/[\n,]+/)
+  .map(line => line.trim().split(/[\s/]+/).filter(Boolean))
+  .filter(tokens => tokens.length > 0)
+  .map(tokens => {
+    const threadToken = tokens.find(token => token.startsWith('thread_'));
+    const runToken = tokens.find(token => token.startsWith('run_'));
+    const targetThreadId = threadToken || defaultThreadId;
+    if (!threadToken && !runToken) return { error: `Not a thread or run ID: ${tokens.join(' ')}` };
+    if (!targetThreadId) return { error: `${runToken} needs a thread ID` };
+    return { threadId: targetThreadId, runId: runToken || null };
+  });
+
+export const collectRunLatencies = (run) => {
+  const steps = run.steps || [];
+  const stepDurations = [];
+  const functionDurations = [];
+  const gaps = [];
+  
+  let previousEnd = run.started_at;
+  steps.forEach(step => {
+    const duration = (step.ended_at || run.completed_at) - step.started_at;
+    stepDurations.push([step.type || 'Unknown', duration]);
+    if (hasClientToolCalls(step)) {
+      step.step_details.tool_calls
+        .filter(toolCall => toolCall && toolCall.type === 'function')
+        .forEach(toolCall => functionDurations.push([getToolCallLabel(toolCall), duration]));
+    }
+    if (previousEnd && step.started_at > previousEnd) gaps.push(step.started_at - previousEnd);
+    previousEnd = step.ended_at;
+  });
+  if (previousEnd && previousEnd < run.completed_at) gaps.push(run.completed_at - previousEnd);
+  
+  return {
+    total: run.completed_at - run.started_at,
+    firstStep: steps.length > 0 ? steps[0].started_at - run.started_at : null,
+    stepDurations,
+    functionDurations,
+    gaps
+  };
+};
+
+// Group the latencies of all runs into named series for the histograms and percentile table
+export const buildLatencySeries = (runs) => {
+  const series = new Map();
+  const add = (key, label, value) => {
+    if (value === null || value === undefined || isNaN(value)) return;
+    if (!series.has(key)) series.set(key, { key, label, values: [] });
+    series.get(key).values.push(value);
+  };
+  
+  runs.forEach(run => {
+    const latencies = collectRunLatencies(run);
+    add('total', 'Total run time', latencies.total);
+    add('firstStep', 'Time to first step', latencies.firstStep);
+    latencies.gaps.forEach(gap => add('gaps', 'Gap time', gap));
+    latencies.stepDurations.forEach(([type, duration]) => add(`step:${type}`, `Step: ${type}`, duration));
+    latencies.functionDurations.forEach(([name, duration]) => add(`function:${name}`, `Function: ${name}`, duration));
+  });
+  
+  return [...series.values()].map(entry => {
+    const sorted = [...entry.values].sort(d3.ascending);
+    const summary = { ...entry, values: sorted, count: sorted.length, mean: d3.mean(sorted), max: sorted[sorted.length - 1] };
+    ANALYTICS_PERCENTILES.forEach(([name, p]) => {
+      summary[name] = d3.quantileSorted(sorted, p);
+    });
+    return summary;
+  });
+};
@@ -0,0 +1,241 @@
+import { describe, expect, it } from 'vitest';
+import {
+  alignStepSequences,
+  buildLatencySeries,
+  getSettledMessages,
+  parseAnalyticsTargets,
+  prepareTimelineData,
+  processRunData,
+  selectRunMessages
+} from './runData';
+
+// Raw API objects; timestamps are Unix seconds
+const rawRun = (overrides = {}) => ({
+  id: 'run_1',
+  thread_id: 'thread_1',
+  assistant_id: 'asst_1',
+  status: 'completed',
+  model: 'gpt-4o',
+  created_at: 100,
+  completed_at: 120,
+  ...overrides
+});
+
+const rawStep = (id, type, createdAt, completedAt, overrides = {}) => ({
+  id,
+  type,
+  status: completedAt ? 'completed' : 'in_progress',
+  created_at: createdAt,
+  completed_at: completedAt,
+  step_details: type === 'message_creation'
+    ? { type, message_creation: { message_id: `msg_${id}` } }
+    : { type: 'tool_calls', tool_calls: [] },
+  ...overrides
+});
+
+const functionCalls = (...names) => ({
+  type: 'tool_calls',
+  tool_calls: names.map(name => ({ id: `call_${name}`, type: 'function', function: { name, arguments: '{}', output: null } }))
+});
+
+describe('processRunData', () => {
+  it('converts run and step timestamps to milliseconds', () => {
+    const run = processRunData(rawRun(), [rawStep('step_1', 'message_creation', 101, 105)]);
+    expect(run.started_at).toBe(100000);
+    expect(run.completed_at).toBe(120000);
+    expect(run.steps[0]).toMatchObject({ started_at: 101000, completed_at: 105000, ended_at: 105000 });
+    expect(run.isLive).toBe(false);
+  });
+
+  it('sorts steps that arrive out of order', () => {
+    const run = processRunData(rawRun(), [
+      rawStep('step_3', 'message_creation', 110, 112),
+      rawStep('step_1', 'tool_calls', 101, 103),
+      rawStep('step_2', 'tool_calls', 104, 108)
+    ]);
+    expect(run.steps.map(step => step.id)).toEqual(['step_1', 'step_2', 'step_3']);
+    // The raw steps are kept as fetched for export
+    expect(run.rawSteps.map(step => step.id)).toEqual(['step_3', 'step_1', 'step_2']);
+  });
+
+  it('ends an unfinished run at the fallback time', () => {
+    const run = processRunData(rawRun({ status: 'in_progress', completed_at: null }), [], { openEndFallback: 130000 });
+    expect(run.completed_at).toBe(130000);
+    expect(run.isLive).toBe(true);
+  });
+
+  it('ends failed runs and steps when they failed', () => {
+    const run = processRunData(
+      rawRun({ status: 'failed', completed_at: null, failed_at: 115, last_error: { code: 'server_error', message: 'boom' } }),
+      [rawStep('step_1', 'tool_calls', 101, null, { status: 'failed', failed_at: 109 })]
+    );
+    expect(run.completed_at).toBe(115000);
+    expect(run.last_error).toEqual({ code: 'server_error', message: 'boom' });
+    expect(run.steps[0].completed_at).toBeNull();
+    expect(run.steps[0].ended_at).toBe(109000);
+  });
+});
+
+describe('selectRunMessages and getSettledMessages', () => {
+  const message = (id, role, createdAt, runId, status = 'completed') => ({ id, role, created_at: createdAt, run_id: runId, status });
+  const threadMessages = [
+    message('msg_1', 'user', 90, null),
+    message('msg_2', 'assistant', 95, 'run_0'),
+    message('msg_3', 'user', 99, null),
+    message('msg_4', 'assistant', 110, 'run_1', 'in_progress'),
+    message('msg_5', 'user', 130, null)
+  ];
+
+  it('keeps the run\'s own messages and the user messages before it', () => {
+    expect(selectRunMessages(threadMessages, rawRun()).map(m => m.id)).toEqual(['msg_1', 'msg_3', 'msg_4']);
+  });
+
+  it('stops at the first message still being written', () => {
+    expect(getSettledMessages(threadMessages).map(m => m.id)).toEqual(['msg_1', 'msg_2', 'msg_3']);
+    expect(getSettledMessages(threadMessages.slice(0, 3))).toHaveLength(3);
+  });
+});
+
+describe('prepareTimelineData', () => {
+  const rows = (steps, runOverrides, selectedIndex = null) =>
+    prepareTimelineData(processRunData(rawRun(runOverrides), steps), selectedIndex);
+
+  it('returns no rows for a run without steps', () => {
+    expect(rows([])).toEqual([]);
+    expect(prepareTimelineData(null)).toEqual([]);
+  });
+
+  it('places steps relative to the run start and fills gaps between them', () => {
+    const data = rows([
+      rawStep('step_1', 'message_creation', 102, 105),
+      rawStep('step_2', 'message_creation', 108, 120)
+    ]);
+    expect(data.map(d => [d.name, d.actualStart, d.actualEnd, d.isGap])).toEqual([
+      ['<unknown>', 0, 2000, true],
+      ['1. message_creation', 2000, 5000, false],
+      ['<unknown>', 5000, 8000, true],
+      ['2. message_creation', 8000, 20000, false]
+    ]);
+    expect(data[1]).toMatchObject({ index: 0, duration: 3000, durationLabel: '3s' });
+    expect(data[0].index).toBe(-1);
+  });
+
+  it('dims the rows of steps left out by a filter, and every gap', () => {
+    const steps = [
+      rawStep('step_1', 'tool_calls', 102, 105, { step_details: functionCalls('lookup') }),
+      rawStep('step_2', 'message_creation', 108, 120)
+    ];
+    const data = prepareTimelineData(processRunData(rawRun(), steps), null, new Set([0]));
+    expect(data.map(d => [d.name, d.isDimmed])).toEqual([
+      ['<unknown>', true],
+      ['1. tool_calls', false],
+      ['1.1 lookup', false],
+      ['client tool execution', true],
+      ['2. message_creation', true]
+    ]);
+    expect(rows(steps).some(d => d.isDimmed)).toBe(false);
+  });
+
+  it('adds a trailing gap when the run ended after its last step', () => {
+    const data = rows([rawStep('step_1', 'message_creation', 100, 110)]);
+    expect(data[data.length - 1]).toMatchObject({ name: '<unknown>', actualStart: 10000, actualEnd: 20000, isGap: true });
+  });
+
+  it('runs a step without completed_at to the end of the run without inventing gaps', () => {
+    const data = rows(
+      [
+        rawStep('step_1', 'message_creation', 100, 104),
+        rawStep('step_2', 'message_creation', 104, null)
+      ],
+      { status: 'in_progress', completed_at: 125 }
+    );
+    expect(data.map(d => d.name)).toEqual(['1. message_creation', '2. message_creation']);
+    expect(data[1]).toMatchObject({ actualStart: 4000, actualEnd: 25000, duration: 21000 });
+  });
+
+  it('orders rows by start time even when steps arrive out of order', () => {
+    const data = rows([
+      rawStep('step_2', 'message_creation', 110, 120),
+      rawStep('step_1', 'message_creation', 100, 105)
+    ]);
+    const steps = data.filter(d => !d.isGap);
+    expect(steps.map(d => d.actualStart)).toEqual([0, 10000]);
+    expect(data.filter(d => d.isGap)).toHaveLength(1);
+  });
+
+  it('adds a lane per tool call and attributes the following gap to the client', () => {
+    const data = rows([
+      rawStep('step_1', 'tool_calls', 100, 103, { step_details: functionCalls('get_weather', 'get_time') }),
+      rawStep('step_2', 'message_creation', 107, 120)
+    ]);
+    expect(data.map(d => d.name)).toEqual([
+      '1. tool_calls',
+      '1.1 get_weather',
+      '1.2 get_time',
+      'client tool execution',
+      '2. message_creation'
+    ]);
+    expect(data[1]).toMatchObject({ isToolCall: true, index: 0, actualStart: 0, actualEnd: 3000 });
+    expect(data[3]).toMatchObject({ isGap: true, actualStart: 3000, actualEnd: 7000 });
+  });
+
+  it('marks the selected step and its tool calls, and failed steps', () => {
+    const data = rows([
+      rawStep('step_1', 'tool_calls', 100, null, { status: 'failed', failed_at: 105, step_details: functionCalls('lookup') }),
+      rawStep('step_2', 'message_creation', 105, 120)
+    ], {}, 0);
+    expect(data.filter(d => d.isSelected).map(d => d.name)).toEqual(['1. tool_calls', '1.1 lookup']);
+    expect(data[0]).toMatchObject({ isFailed: true, status: 'failed', actualEnd: 5000 });
+    expect(data[2].isFailed).toBe(false);
+  });
+});
+
+describe('alignStepSequences', () => {
+  it('pairs matching steps and leaves added and removed steps unpaired', () => {
+    const a = [rawStep('a1', 'tool_calls', 0, 1, { step_details: functionCalls('search') }), rawStep('a2', 'message_creation', 1, 2)];
+    const b = [
+      rawStep('b1', 'tool_calls', 0, 1, { step_details: functionCalls('search') }),
+      rawStep('b2', 'tool_calls', 1, 2, { step_details: functionCalls('fetch') }),
+      rawStep('b3', 'message_creation', 2, 3)
+    ];
+    expect(alignStepSequences(a, b)).toEqual([{ a: 0, b: 0 }, { a: null, b: 1 }, { a: 1, b: 2 }]);
+  });
+});
+
+describe('parseAnalyticsTargets', () => {
+  it('reads threads, thread/run pairs and bare run IDs', () => {
+    expect(parseAnalyticsTargets('thread_a\nthread_b run_b, run_c\nthread_d/run_d', 'thread_default')).toEqual([
+      { threadId: 'thread_a', runId: null },
+      { threadId: 'thread_b', runId: 'run_b' },
+      { threadId: 'thread_default', runId: 'run_c' },
+      { threadId: 'thread_d', runId: 'run_d' }
+    ]);
+  });
+
+  it('reports entries it cannot use', () => {
+    expect(parseAnalyticsTargets('hello\nrun_x', '')).toEqual([
+      { error: 'Not a thread or run ID: hello' },
+      { error: 'run_x needs a thread ID' }
+    ]);
+  });
+});
+
+describe('buildLatencySeries', () => {
+  it('summarises run, step, function and gap latencies with percentiles', () => {
+    const runs = [10, 20, 30].map((seconds, i) => processRunData(
+      rawRun({ id: `run_${i}`, completed_at: 100 + seconds }),
+      [
+        rawStep(`step_${i}_1`, 'tool_calls', 101, 103, { step_details: functionCalls('lookup') }),
+        rawStep(`step_${i}_2`, 'message_creation', 104, 100 + seconds)
+      ]
+    ));
+    const series = Object.fromEntries(buildLatencySeries(runs).map(entry => [entry.key, entry]));
+    
+    expect(series.total).toMatchObject({ count: 3, p50: 20000, max: 30000, mean: 20000 });
+    expect(series.total.p90).toBeCloseTo(28000);
+    expect(series.firstStep.values).toEqual([1000, 1000, 1000]);
+    expect(series['step:tool_calls'].values).toEqual([2000, 2000, 2000]);
+    expect(series['function:lookup']).toMatchObject({ label: 'Function: lookup', count: 3, p99: 2000 });
+    expect(series.gaps.values).toEqual([1000, 1000, 1000, 1000, 1000, 1000]);
+  });
+});
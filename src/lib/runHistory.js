@@ -0,0 +1,162 @@
+// Persistent history of the runs opened in the viewer, kept in IndexedDB. Entries hold what the
+// history sidebar lists and searches. The run itself is cached separately, as the same bundle
+// exportRun writes, so a past run reopens without the network.
+import { FAILED_STATUSES } from './runData';
+
+const HISTORY_DB_NAME = 'openai_debug_history';
+const HISTORY_DB_VERSION = 1;
+const ENTRY_STORE = 'runs';
+const PAYLOAD_STORE = 'payloads';
+
+// Unstarred runs beyond this many are forgotten, least recently opened first
+export const HISTORY_LIMIT = 200;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('History update was aborted'));
+});
+
+let dbPromise = null;
+
+const openHistoryDb = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('Run history needs IndexedDB, which this browser does not provide'));
+  }
+  if (!dbPromise) {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+      request.result.createObjectStore(PAYLOAD_STORE);
+    };
+    // Let a later call try again, e.g. after the user allowed storage
+    dbPromise = requestResult(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Run `work(stores)` in one transaction over both stores and resolve with its result once the
+// transaction has committed
+const withStores = async (mode, work) => {
+  const db = await openHistoryDb();
+  const transaction = db.transaction([ENTRY_STORE, PAYLOAD_STORE], mode);
+  const result = work({ entries: transaction.objectStore(ENTRY_STORE), payloads: transaction.objectStore(PAYLOAD_STORE) });
+  await transactionDone(transaction);
+  return result;
+};
+
+// The history key of a run built by processRunData or processResponseChain
+export const getHistoryKey = (run) => (run.responses ? `response/${run.id}` : `${run.thread_id}/${run.id}`);
+
+const entryFromRun = (run, openedAt) => ({
+  key: getHistoryKey(run),
+  kind: run.responses ? 'response' : 'run',
+  runId: run.id,
+  threadId: run.thread_id || null,
+  assistantId: run.assistant_id || null,
+  model: run.model || null,
+  status: run.status,
+  startedAt: run.started_at,
+  durationMs: run.isLive ? null : run.completed_at - run.started_at,
+  stepCount: run.steps.length,
+  failedStepCount: run.steps.filter(step => FAILED_STATUSES.includes(step.status)).length,
+  // The connection profile the run was fetched with, as { id, name, environment }
+  profile: (run.source && run.source.profile) || null,
+  openedAt
+});
+
+// Record that `run` was opened, caching `payload` (an export bundle) for reopening it offline.
+// The star, notes and tags of a run seen before are kept.
+export const saveRunToHistory = async (run, payload, { openedAt = Date.now() } = {}) => {
+  const entry = await withStores('readwrite', ({ entries, payloads }) => {
+    const saved = { ...entryFromRun(run, openedAt), starred: false, notes: '', tags: [] };
+    const request = entries.get(saved.key);
+    request.onsuccess = () => {
+      if (request.result) {
+        const { starred, notes, tags } = request.result;
+        Object.assign(saved, { starred, notes, tags });
+      }
+      entries.put(saved);
+      payloads.put(payload, saved.key);
+    };
+    return saved;
+  });
+  await pruneRunHistory();
+  return entry;
+};
+
+// Every entry, most recently opened first
+export const listRunHistory = async () => {
+  const entries = await withStores('readonly', ({ entries: store }) => requestResult(store.getAll()));
+  return entries.sort((a, b) => b.openedAt - a.openedAt);
+};
+
+// The cached bundle of an entry, or undefined when there is none
+export const getRunHistoryPayload = async (key) =>
+  withStores('readonly', ({ payloads }) => requestResult(payloads.get(key)));
+
+// Change fields of an entry, e.g. { starred: true } or { notes, tags }. Resolves with the updated
+// entry, or null when there is no entry under `key`.
+export const updateRunHistoryEntry = async (key, changes) => {
+  const updated = await withStores('readwrite', ({ entries }) => {
+    const result = { entry: null };
+    const request = entries.get(key);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      result.entry = { ...request.result, ...changes, key };
+      entries.put(result.entry);
+    };
+    return result;
+  });
+  return updated.entry;
+};
+
+export const deleteRunHistoryEntry = async (key) => withStores('readwrite', ({ entries, payloads }) => {
+  entries.delete(key);
+  payloads.delete(key);
+});
+
+export const clearRunHistory = async () => withStores('readwrite', ({ entries, payloads }) => {
+  entries.clear();
+  payloads.clear();
+});
+
+const pruneRunHistory = async (limit = HISTORY_LIMIT) => {
+  const entries = await listRunHistory();
+  if (entries.length <= limit) return;
+
+  const starredCount = entries.filter(entry => entry.starred).length;
+  const forgotten = entries.filter(entry => !entry.starred).slice(Math.max(limit - starredCount, 0));
+  await withStores('readwrite', ({ entries: entryStore, payloads }) => {
+    forgotten.forEach(entry => {
+      entryStore.delete(entry.key);
+      payloads.delete(entry.key);
+    });
+  });
+};
+
+// Tags typed as a comma separated list, without blanks or repeats
+export const parseHistoryTags = (text) =>
+  [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+// Entries whose IDs, model, status, profile, notes or tags contain every word of `query`
+export const searchRunHistory = (entries, query, { starredOnly = false } = {}) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter(entry => {
+    if (starredOnly && !entry.starred) return false;
+    const profile = entry.profile || {};
+    const haystack = [entry.runId, entry.threadId, entry.assistantId, entry.model, entry.status, profile.name, profile.environment, entry.notes, ...entry.tags]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+};
@@ -0,0 +1,118 @@
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it } from 'vitest';
+import {
+  HISTORY_LIMIT,
+  clearRunHistory,
+  deleteRunHistoryEntry,
+  getHistoryKey,
+  getRunHistoryPayload,
+  listRunHistory,
+  parseHistoryTags,
+  saveRunToHistory,
+  searchRunHistory,
+  updateRunHistoryEntry
+} from './runHistory';
+import { processRunData } from './runData';
+
+const staging = { id: 'profile_staging', name: 'Staging', environment: 'staging' };
+
+const makeRun = (id, overrides = {}) => processRunData(
+  { id, thread_id: 'thread_1', assistant_id: 'asst_1', status: 'completed', model: 'gpt-4o', created_at: 100, completed_at: 112, ...overrides },
+  [{ id: `${id}_step`, type: 'message_creation', status: 'failed', created_at: 101, failed_at: 104, step_details: {} }],
+  { source: { type: 'api', profile: staging } }
+);
+
+const bundleOf = (run) => ({ format: 'openai-run-viewer-bundle', version: 1, run: run.rawRun, steps: run.rawSteps });
+
+beforeEach(() => clearRunHistory());
+
+describe('run history', () => {
+  it('records a run with its summary and caches its bundle', async () => {
+    const run = makeRun('run_1');
+    await saveRunToHistory(run, bundleOf(run), { openedAt: 5000 });
+    
+    const [entry] = await listRunHistory();
+    expect(entry).toMatchObject({
+      key: 'thread_1/run_1',
+      kind: 'run',
+      status: 'completed',
+      model: 'gpt-4o',
+      durationMs: 12000,
+      stepCount: 1,
+      failedStepCount: 1,
+      openedAt: 5000,
+      profile: staging,
+      starred: false,
+      tags: []
+    });
+    expect(await getRunHistoryPayload(entry.key)).toEqual(bundleOf(run));
+  });
+
+  it('keeps the star, notes and tags when a run is opened again', async () => {
+    const run = makeRun('run_1');
+    await saveRunToHistory(run, bundleOf(run), { openedAt: 1000 });
+    await updateRunHistoryEntry('thread_1/run_1', { starred: true, notes: 'Slow again', tags: ['slow file search'] });
+    await saveRunToHistory(makeRun('run_1', { status: 'failed' }), bundleOf(run), { openedAt: 2000 });
+    
+    const [entry] = await listRunHistory();
+    expect(entry).toMatchObject({ status: 'failed', openedAt: 2000, starred: true, notes: 'Slow again', tags: ['slow file search'] });
+  });
+
+  it('lists the most recently opened runs first and forgets deleted ones', async () => {
+    for (const [id, openedAt] of [['run_1', 1000], ['run_2', 3000], ['run_3', 2000]]) {
+      const run = makeRun(id);
+      await saveRunToHistory(run, bundleOf(run), { openedAt });
+    }
+    expect((await listRunHistory()).map(entry => entry.runId)).toEqual(['run_2', 'run_3', 'run_1']);
+    
+    await deleteRunHistoryEntry('thread_1/run_3');
+    expect((await listRunHistory()).map(entry => entry.runId)).toEqual(['run_2', 'run_1']);
+    expect(await getRunHistoryPayload('thread_1/run_3')).toBeUndefined();
+    expect(await updateRunHistoryEntry('thread_1/run_3', { starred: true })).toBeNull();
+  });
+
+  it('drops the oldest unstarred runs beyond the limit', async () => {
+    const oldest = makeRun('run_0');
+    await saveRunToHistory(oldest, bundleOf(oldest), { openedAt: 0 });
+    await updateRunHistoryEntry('thread_1/run_0', { starred: true });
+    for (let i = 1; i <= HISTORY_LIMIT; i++) {
+      const run = makeRun(`run_${i}`);
+      await saveRunToHistory(run, bundleOf(run), { openedAt: i });
+    }
+    
+    const entries = await listRunHistory();
+    expect(entries).toHaveLength(HISTORY_LIMIT);
+    expect(entries.map(entry => entry.runId)).toContain('run_0');
+    expect(entries.map(entry => entry.runId)).not.toContain('run_1');
+  });
+});
+
+describe('getHistoryKey', () => {
+  it('keys response chains apart from thread runs', () => {
+    expect(getHistoryKey({ id: 'resp_1', responses: [] })).toBe('response/resp_1');
+    expect(getHistoryKey({ id: 'run_1', thread_id: 'thread_1' })).toBe('thread_1/run_1');
+  });
+});
+
+describe('searchRunHistory', () => {
+  const entries = [
+    { runId: 'run_1', threadId: 'thread_1', model: 'gpt-4o', status: 'completed', notes: '', tags: ['slow file search'], starred: true },
+    { runId: 'run_2', threadId: 'thread_2', model: 'gpt-4o-mini', status: 'failed', notes: 'Timed out calling the CRM', tags: [], starred: false, profile: staging }
+  ];
+  const ids = (query, options) => searchRunHistory(entries, query, options).map(entry => entry.runId);
+
+  it('matches every word against IDs, status, model, profile, notes and tags', () => {
+    expect(ids('')).toEqual(['run_1', 'run_2']);
+    expect(ids('slow search')).toEqual(['run_1']);
+    expect(ids('crm FAILED')).toEqual(['run_2']);
+    expect(ids('staging')).toEqual(['run_2']);
+    expect(ids('thread_2 slow')).toEqual([]);
+    expect(ids('', { starredOnly: true })).toEqual(['run_1']);
+  });
+});
+
+describe('parseHistoryTags', () => {
+  it('splits on commas and drops blanks and repeats', () => {
+    expect(parseHistoryTags(' slow file search, retry,, retry ')).toEqual(['slow file search', 'retry']);
+  });
+});
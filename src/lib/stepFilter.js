@@ -0,0 +1,102 @@
+// Filtering of a run's steps by type, status, tool and the text of their payloads. Steps are the
+// ones built by processRunData; `messages` are the run's thread messages, which hold the text
+// of message_creation steps.
+import { formatJsonString } from './format';
+import { getStepToolNames } from './runData';
+
+export const EMPTY_STEP_FILTER = { type: '', status: '', tool: '', text: '' };
+
+export const isStepFilterActive = (filter) => Object.values(filter).some(Boolean);
+
+// Values present in the run, for the filter dropdowns
+export const getStepFilterOptions = (steps) => {
+  const unique = values => [...new Set(values.filter(Boolean))].sort();
+  return {
+    types: unique(steps.map(step => step.type)),
+    statuses: unique(steps.map(step => step.status)),
+    tools: unique(steps.flatMap(getStepToolNames))
+  };
+};
+
+const toolCallTexts = (toolCall) => {
+  if (toolCall.type === 'function' && toolCall.function) {
+    const { name, arguments: args, output } = toolCall.function;
+    return [name, formatJsonString(args || '{}'), output !== null && output !== undefined ? formatJsonString(output) : null];
+  }
+  if (toolCall.type === 'code_interpreter' && toolCall.code_interpreter) {
+    return [
+      toolCall.code_interpreter.input,
+      ...(toolCall.code_interpreter.outputs || []).filter(Boolean).map(output => output.text || output.logs)
+    ];
+  }
+  if (toolCall.type === 'file_search' && toolCall.file_search) {
+    return [
+      ...(toolCall.file_search.queries || []),
+      ...(toolCall.file_search.results || []).flatMap(result => [
+        result.file_name,
+        ...(result.content || []).map(chunk => chunk.text)
+      ])
+    ];
+  }
+  if (toolCall.type === 'web_search' && toolCall.web_search && toolCall.web_search.action) {
+    return [toolCall.web_search.action.query, toolCall.web_search.action.url];
+  }
+  return [JSON.stringify(toolCall)];
+};
+
+const messageTexts = (message) => (Array.isArray(message.content) ? message.content : [])
+  .filter(Boolean)
+  .map(part => {
+    if (part.type === 'text' && part.text) return part.text.value;
+    if (part.type === 'refusal') return part.refusal;
+    return null;
+  });
+
+// Every piece of text shown for a step, in the form the step card shows it
+export const getStepSearchTexts = (step, messages = []) => {
+  const details = step.step_details || {};
+  const texts = [step.last_error && step.last_error.message];
+
+  if (details.type === 'tool_calls' && Array.isArray(details.tool_calls)) {
+    details.tool_calls.filter(Boolean).forEach(toolCall => texts.push(...toolCallTexts(toolCall)));
+  } else if (details.type === 'message_creation' && details.message_creation) {
+    const message = messages.find(m => m.id === details.message_creation.message_id);
+    texts.push(details.message_creation.message_id, ...(message ? messageTexts(message) : []));
+  } else if (details.type === 'reasoning' && details.reasoning) {
+    texts.push(...details.reasoning.summary);
+  } else {
+    texts.push(JSON.stringify(details, null, 2));
+  }
+  return texts.filter(text => text !== null && text !== undefined && text !== '').map(String);
+};
+
+export const stepMatchesFilter = (step, filter, messages = []) => {
+  if (filter.type && step.type !== filter.type) return false;
+  if (filter.status && step.status !== filter.status) return false;
+  if (filter.tool && !getStepToolNames(step).includes(filter.tool)) return false;
+  if (filter.text) {
+    const query = filter.text.toLowerCase();
+    return getStepSearchTexts(step, messages).some(text => text.toLowerCase().includes(query));
+  }
+  return true;
+};
+
+// Split `text` around case-insensitive occurrences of `query`, as [{ text, match }] parts
+export const splitHighlights = (text, query) => {
+  const value = String(text);
+  if (!query) return [{ text: value, match: false }];
+
+  const lowerValue = value.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  const parts = [];
+  let position = 0;
+  let found = lowerValue.indexOf(lowerQuery);
+  while (found !== -1) {
+    if (found > position) parts.push({ text: value.slice(position, found), match: false });
+    parts.push({ text: value.slice(found, found + query.length), match: true });
+    position = found + query.length;
+    found = lowerValue.indexOf(lowerQuery, position);
+  }
+  if (position < value.length) parts.push({ text: value.slice(position), match: false });
+  return parts;
+};
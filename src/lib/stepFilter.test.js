@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import {
+  EMPTY_STEP_FILTER,
+  getStepFilterOptions,
+  getStepSearchTexts,
+  isStepFilterActive,
+  splitHighlights,
+  stepMatchesFilter
+} from './stepFilter';
+
+const functionStep = {
+  id: 'step_1',
+  type: 'tool_calls',
+  status: 'completed',
+  step_details: {
+    type: 'tool_calls',
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Lisbon"}', output: '{"temp":21}' } }]
+  }
+};
+
+const codeStep = {
+  id: 'step_2',
+  type: 'tool_calls',
+  status: 'failed',
+  last_error: { code: 'server_error', message: 'Sandbox crashed' },
+  step_details: {
+    type: 'tool_calls',
+    tool_calls: [{ id: 'call_2', type: 'code_interpreter', code_interpreter: { input: 'import pandas', outputs: [{ type: 'logs', logs: 'ModuleNotFoundError' }] } }]
+  }
+};
+
+const messageStep = {
+  id: 'step_3',
+  type: 'message_creation',
+  status: 'completed',
+  step_details: { type: 'message_creation', message_creation: { message_id: 'msg_1' } }
+};
+
+const messages = [{ id: 'msg_1', role: 'assistant', content: [{ type: 'text', text: { value: 'It is sunny in Lisbon.', annotations: [] } }] }];
+const steps = [functionStep, codeStep, messageStep];
+const matching = (filter) => steps.filter(step => stepMatchesFilter(step, { ...EMPTY_STEP_FILTER, ...filter }, messages)).map(step => step.id);
+
+describe('getStepFilterOptions', () => {
+  it('lists the types, statuses and tools present in the run', () => {
+    expect(getStepFilterOptions(steps)).toEqual({
+      types: ['message_creation', 'tool_calls'],
+      statuses: ['completed', 'failed'],
+      tools: ['code_interpreter', 'get_weather']
+    });
+  });
+});
+
+describe('stepMatchesFilter', () => {
+  it('matches everything without a filter', () => {
+    expect(isStepFilterActive(EMPTY_STEP_FILTER)).toBe(false);
+    expect(matching({})).toEqual(['step_1', 'step_2', 'step_3']);
+  });
+
+  it('filters by type, status and tool together', () => {
+    expect(matching({ type: 'tool_calls' })).toEqual(['step_1', 'step_2']);
+    expect(matching({ type: 'tool_calls', status: 'failed' })).toEqual(['step_2']);
+    expect(matching({ tool: 'get_weather' })).toEqual(['step_1']);
+  });
+
+  it('searches arguments, outputs, code, errors and message text without regard to case', () => {
+    expect(matching({ text: 'lisbon' })).toEqual(['step_1', 'step_3']);
+    expect(matching({ text: '"temp": 21' })).toEqual(['step_1']);
+    expect(matching({ text: 'modulenotfound' })).toEqual(['step_2']);
+    expect(matching({ text: 'sandbox' })).toEqual(['step_2']);
+    expect(matching({ text: 'nothing like this' })).toEqual([]);
+  });
+
+  it('does not search the text of messages that were not loaded', () => {
+    expect(getStepSearchTexts(messageStep)).toEqual(['msg_1']);
+  });
+});
+
+describe('splitHighlights', () => {
+  it('marks every occurrence and keeps the original case', () => {
+    expect(splitHighlights('Lisbon, lisbon!', 'LISBON')).toEqual([
+      { text: 'Lisbon', match: true },
+      { text: ', ', match: false },
+      { text: 'lisbon', match: true },
+      { text: '!', match: false }
+    ]);
+  });
+
+  it('returns the whole text without a query', () => {
+    expect(splitHighlights(42, '')).toEqual([{ text: '42', match: false }]);
+  });
+});
@@ -0,0 +1,205 @@
+// Runs started by the viewer with `stream: true`. Every server-sent event is logged with the
+// client time it arrived, in milliseconds, as a stream log:
+//   { requestedAt, done, events: [{ event, receivedAt, data }] }
+// The API only timestamps runs and steps in whole seconds, so the times the events arrived are
+// used for the timeline instead.
+import { TERMINAL_RUN_STATUSES, processRunData } from './runData';
+
+const TERMINAL_STEP_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+
+// Read a text/event-stream body and call `onEvent({ event, data })` for every event, with `data`
+// as the raw string. Resolves when the stream ends.
+export const readServerSentEvents = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (!line || line.startsWith(':')) return;
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      if (field === 'data') data.push(value);
+    });
+    if (data.length > 0) onEvent({ event, data: data.join('\n') });
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+    if (done) break;
+  }
+  if (buffer.trim()) dispatch(buffer);
+};
+
+// Add a tool call delta to the tool call built so far. Text fields arrive in pieces.
+const mergeToolCallDelta = (toolCall = {}, delta) => {
+  const merged = { ...toolCall, id: delta.id || toolCall.id, type: delta.type || toolCall.type };
+  if (delta.function) {
+    const current = toolCall.function || {};
+    merged.function = {
+      ...current,
+      ...delta.function,
+      name: delta.function.name || current.name,
+      arguments: (current.arguments || '') + (delta.function.arguments || '')
+    };
+  }
+  if (delta.code_interpreter) {
+    const current = toolCall.code_interpreter || {};
+    merged.code_interpreter = {
+      input: (current.input || '') + (delta.code_interpreter.input || ''),
+      outputs: [...(current.outputs || []), ...(delta.code_interpreter.outputs || [])]
+    };
+  }
+  if (delta.file_search) merged.file_search = { ...toolCall.file_search, ...delta.file_search };
+  return merged;
+};
+
+const mergeStepDelta = (step, delta) => {
+  const details = delta.step_details;
+  if (!step || !details || details.type !== 'tool_calls') return step;
+  const toolCalls = [...(step.step_details.tool_calls || [])];
+  (details.tool_calls || []).forEach(toolCallDelta => {
+    toolCalls[toolCallDelta.index] = mergeToolCallDelta(toolCalls[toolCallDelta.index], toolCallDelta);
+  });
+  return { ...step, step_details: { ...step.step_details, tool_calls: toolCalls } };
+};
+
+const mergeMessageDelta = (message, delta) => {
+  if (!message) return message;
+  const content = [...(message.content || [])];
+  (delta.content || []).forEach(partDelta => {
+    const current = content[partDelta.index];
+    if (partDelta.type === 'text' && current && current.text) {
+      content[partDelta.index] = {
+        ...current,
+        text: {
+          value: current.text.value + (partDelta.text.value || ''),
+          annotations: [...current.text.annotations, ...(partDelta.text.annotations || [])]
+        }
+      };
+    } else {
+      const { index, ...part } = partDelta;
+      content[index] = part.type === 'text' ? { ...part, text: { value: '', annotations: [], ...part.text } } : part;
+    }
+  });
+  return { ...message, content };
+};
+
+// The run, steps and messages as of the last event, with deltas applied to the objects that are
+// still being written. The run is null until the stream has announced it.
+export const collectStreamObjects = (streamLog) => {
+  let runInfo = null;
+  const steps = new Map();
+  const messages = new Map();
+
+  streamLog.events.forEach(({ data }) => {
+    if (!data) return;
+    switch (data.object) {
+      case 'thread.run':
+        runInfo = data;
+        break;
+      case 'thread.run.step':
+        steps.set(data.id, data);
+        break;
+      case 'thread.run.step.delta':
+        steps.set(data.id, mergeStepDelta(steps.get(data.id), data.delta));
+        break;
+      case 'thread.message':
+        messages.set(data.id, data);
+        break;
+      case 'thread.message.delta':
+        messages.set(data.id, mergeMessageDelta(messages.get(data.id), data.delta));
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { runInfo, steps: [...steps.values()].filter(Boolean), messages: [...messages.values()].filter(Boolean) };
+};
+
+// Client times, in milliseconds, at which the run and each step were first seen, first produced
+// output and ended
+export const getStreamTimings = (streamLog) => {
+  const timings = { runCreatedAt: null, runEndedAt: null, firstTokenAt: null, steps: {} };
+  const stepIdsByMessageId = {};
+  const stepTiming = (id) => {
+    if (!timings.steps[id]) timings.steps[id] = { createdAt: null, firstDeltaAt: null, endedAt: null };
+    return timings.steps[id];
+  };
+  const recordFirstDelta = (stepId, receivedAt) => {
+    if (stepId && !stepTiming(stepId).firstDeltaAt) stepTiming(stepId).firstDeltaAt = receivedAt;
+    if (!timings.firstTokenAt) timings.firstTokenAt = receivedAt;
+  };
+
+  streamLog.events.forEach(({ receivedAt, data }) => {
+    if (!data) return;
+    if (data.object === 'thread.run') {
+      if (!timings.runCreatedAt) timings.runCreatedAt = receivedAt;
+      if (TERMINAL_RUN_STATUSES.includes(data.status) && !timings.runEndedAt) timings.runEndedAt = receivedAt;
+    } else if (data.object === 'thread.run.step') {
+      const timing = stepTiming(data.id);
+      if (!timing.createdAt) timing.createdAt = receivedAt;
+      if (TERMINAL_STEP_STATUSES.includes(data.status) && !timing.endedAt) timing.endedAt = receivedAt;
+      const details = data.step_details;
+      if (details && details.type === 'message_creation') stepIdsByMessageId[details.message_creation.message_id] = data.id;
+    } else if (data.object === 'thread.run.step.delta') {
+      recordFirstDelta(data.id, receivedAt);
+    } else if (data.object === 'thread.message.delta') {
+      recordFirstDelta(stepIdsByMessageId[data.id], receivedAt);
+    }
+  });
+  return timings;
+};
+
+// Replace the whole-second times of a run built by processRunData with the times its events
+// arrived. The run starts when it was requested, so the first gap includes queueing. A run that
+// did not finish ends at the last event once the stream is closed, and at `openEndFallback`
+// while it is still open. The result carries `stream`: the log, and the time to first token
+// when there was one.
+export const applyStreamTimings = (run, streamLog, { openEndFallback = Date.now() } = {}) => {
+  const timings = getStreamTimings(streamLog);
+  const lastEvent = streamLog.events[streamLog.events.length - 1];
+  const openEnd = streamLog.done && lastEvent ? lastEvent.receivedAt : openEndFallback;
+  const steps = run.steps
+    .map(step => {
+      const timing = timings.steps[step.id];
+      if (!timing || !timing.createdAt) return step;
+      return {
+        ...step,
+        started_at: timing.createdAt,
+        completed_at: step.completed_at ? timing.endedAt : null,
+        ended_at: timing.endedAt,
+        first_delta_at: timing.firstDeltaAt
+      };
+    })
+    .sort((a, b) => a.started_at - b.started_at);
+
+  return {
+    ...run,
+    steps,
+    started_at: streamLog.requestedAt,
+    completed_at: timings.runEndedAt || openEnd,
+    stream: {
+      ...streamLog,
+      timeToFirstToken: timings.firstTokenAt ? timings.firstTokenAt - streamLog.requestedAt : null
+    }
+  };
+};
+
+// The run view model for a stream log, or null before the run has been announced
+export const processStreamedRun = (streamLog, { openEndFallback = Date.now(), source = null } = {}) => {
+  const { runInfo, steps, messages } = collectStreamObjects(streamLog);
+  if (!runInfo) return null;
+  const run = processRunData(runInfo, steps, { messages, openEndFallback, source });
+  return applyStreamTimings(run, streamLog, { openEndFallback });
+};
+
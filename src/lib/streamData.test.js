@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest';
+import { collectStreamObjects, getStreamTimings, processStreamedRun, readServerSentEvents } from './streamData';
+
+// API timestamps are whole Unix seconds; receivedAt values are client milliseconds
+const baseRun = { id: 'run_1', object: 'thread.run', thread_id: 'thread_1', assistant_id: 'asst_1', created_at: 100, model: 'gpt-4o-mini' };
+const toolStep = (status, extra = {}) => ({
+  id: 'step_1',
+  object: 'thread.run.step',
+  run_id: 'run_1',
+  type: 'tool_calls',
+  status,
+  created_at: 100,
+  completed_at: status === 'completed' ? 101 : null,
+  step_details: { type: 'tool_calls', tool_calls: [] },
+  ...extra
+});
+const messageStep = (status) => ({
+  id: 'step_2',
+  object: 'thread.run.step',
+  run_id: 'run_1',
+  type: 'message_creation',
+  status,
+  created_at: 101,
+  completed_at: status === 'completed' ? 101 : null,
+  step_details: { type: 'message_creation', message_creation: { message_id: 'msg_1' } }
+});
+const argumentsDelta = (text, extra = {}) => ({
+  id: 'step_1',
+  object: 'thread.run.step.delta',
+  delta: { step_details: { type: 'tool_calls', tool_calls: [{ index: 0, type: 'function', function: { arguments: text }, ...extra }] } }
+});
+const textDelta = (text) => ({
+  id: 'msg_1',
+  object: 'thread.message.delta',
+  delta: { content: [{ index: 0, type: 'text', text: { value: text } }] }
+});
+const message = { id: 'msg_1', object: 'thread.message', role: 'assistant', created_at: 101, content: [] };
+
+const streamLog = {
+  requestedAt: 10000,
+  done: true,
+  events: [
+    { event: 'thread.run.created', receivedAt: 10040, data: { ...baseRun, status: 'queued' } },
+    { event: 'thread.run.in_progress', receivedAt: 10090, data: { ...baseRun, status: 'in_progress' } },
+    { event: 'thread.run.step.created', receivedAt: 10120, data: toolStep('in_progress') },
+    { event: 'thread.run.step.delta', receivedAt: 10250, data: argumentsDelta('{"city":', { id: 'call_1', function: { name: 'get_weather', arguments: '{"city":' } }) },
+    { event: 'thread.run.step.delta', receivedAt: 10270, data: argumentsDelta('"Oslo"}') },
+    { event: 'thread.run.step.completed', receivedAt: 10400, data: toolStep('completed', { step_details: { type: 'tool_calls', tool_calls: [] } }) },
+    { event: 'thread.run.step.created', receivedAt: 10410, data: messageStep('in_progress') },
+    { event: 'thread.message.created', receivedAt: 10415, data: message },
+    { event: 'thread.message.delta', receivedAt: 10530, data: textDelta('Cold') },
+    { event: 'thread.message.delta', receivedAt: 10560, data: textDelta(' in Oslo.') },
+    { event: 'thread.run.step.completed', receivedAt: 10600, data: messageStep('completed') },
+    { event: 'thread.run.completed', receivedAt: 10620, data: { ...baseRun, status: 'completed', completed_at: 101 } },
+    { event: 'done', receivedAt: 10625, data: null }
+  ]
+};
+
+// A ReadableStream yielding `chunks` as UTF-8 bytes
+const streamOf = (chunks) => new ReadableStream({
+  start(controller) {
+    chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+    controller.close();
+  }
+});
+
+describe('readServerSentEvents', () => {
+  it('splits events across chunk boundaries and joins multi-line data', async () => {
+    const events = [];
+    await readServerSentEvents(streamOf([
+      'event: thread.run.created\ndata: {"id":',
+      '"run_1"}\n\n: keep-alive\n\nevent: thread.message.delta\r\ndata: line 1\r\ndata: line 2\r\n\r\n',
+      'event: done\ndata: [DONE]'
+    ]), event => events.push(event));
+
+    expect(events).toEqual([
+      { event: 'thread.run.created', data: '{"id":"run_1"}' },
+      { event: 'thread.message.delta', data: 'line 1\nline 2' },
+      { event: 'done', data: '[DONE]' }
+    ]);
+  });
+});
+
+describe('collectStreamObjects', () => {
+  it('applies tool call and message deltas to the objects they belong to', () => {
+    const partial = { ...streamLog, events: streamLog.events.slice(0, 5).concat(streamLog.events.slice(6, 10)) };
+    const { runInfo, steps, messages } = collectStreamObjects(partial);
+
+    expect(runInfo.status).toBe('in_progress');
+    expect(steps[0].step_details.tool_calls).toEqual([
+      { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }
+    ]);
+    expect(messages[0].content).toEqual([{ type: 'text', text: { value: 'Cold in Oslo.', annotations: [] } }]);
+  });
+});
+
+describe('getStreamTimings', () => {
+  it('attributes message deltas to the step creating the message', () => {
+    const timings = getStreamTimings(streamLog);
+
+    expect(timings.runCreatedAt).toBe(10040);
+    expect(timings.runEndedAt).toBe(10620);
+    expect(timings.firstTokenAt).toBe(10250);
+    expect(timings.steps.step_1).toEqual({ createdAt: 10120, firstDeltaAt: 10250, endedAt: 10400 });
+    expect(timings.steps.step_2).toEqual({ createdAt: 10410, firstDeltaAt: 10530, endedAt: 10600 });
+  });
+});
+
+describe('processStreamedRun', () => {
+  it('times the run and its steps by when their events arrived', () => {
+    const run = processStreamedRun(streamLog, { source: { type: 'stream' } });
+
+    expect(run.started_at).toBe(10000);
+    expect(run.completed_at).toBe(10620);
+    expect(run.isLive).toBe(false);
+    expect(run.stream.timeToFirstToken).toBe(250);
+    expect(run.steps.map(step => [step.id, step.started_at, step.ended_at, step.first_delta_at])).toEqual([
+      ['step_1', 10120, 10400, 10250],
+      ['step_2', 10410, 10600, 10530]
+    ]);
+    expect(run.source).toEqual({ type: 'stream' });
+  });
+
+  it('keeps an open stream running until the fallback end', () => {
+    const open = { ...streamLog, done: false, events: streamLog.events.slice(0, 4) };
+    const run = processStreamedRun(open, { openEndFallback: 10300 });
+
+    expect(run.isLive).toBe(true);
+    expect(run.completed_at).toBe(10300);
+    expect(run.steps[0].ended_at).toBeNull();
+    expect(processStreamedRun({ ...open, done: true }).completed_at).toBe(10250);
+  });
+
+  it('returns null before the stream has announced the run', () => {
+    expect(processStreamedRun({ requestedAt: 10000, done: false, events: [] })).toBeNull();
+  });
+});
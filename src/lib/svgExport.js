@@ -0,0 +1,70 @@
+// Standalone copies of rendered SVG charts, for saving as files or embedding in reports. Styles
+// that come from the page's CSS are written onto each element so the copy looks the same
+// outside the page.
+const INLINED_STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity', 'visibility',
+  'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+];
+
+// Markup of a standalone copy of `svg` on a white background. Elements matching `omit` (e.g.
+// interactive overlays) are left out.
+export const serializeSvg = (svg, { omit = null, background = '#ffffff' } = {}) => {
+  const clone = svg.cloneNode(true);
+  const sourceElements = [svg, ...svg.querySelectorAll('*')];
+  const cloneElements = [clone, ...clone.querySelectorAll('*')];
+
+  sourceElements.forEach((element, i) => {
+    const computed = window.getComputedStyle(element);
+    const style = INLINED_STYLE_PROPERTIES
+      .map(property => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}:${value}`)
+      .join(';');
+    if (style) cloneElements[i].setAttribute('style', style);
+  });
+  if (omit) clone.querySelectorAll(omit).forEach(element => element.remove());
+
+  const width = svg.getAttribute('width') || svg.clientWidth;
+  const height = svg.getAttribute('height') || svg.clientHeight;
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  clone.removeAttribute('class');
+
+  const backgroundRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  backgroundRect.setAttribute('width', '100%');
+  backgroundRect.setAttribute('height', '100%');
+  backgroundRect.setAttribute('fill', background);
+  clone.insertBefore(backgroundRect, clone.firstChild);
+
+  return { markup: new XMLSerializer().serializeToString(clone), width: Number(width), height: Number(height) };
+};
+
+// Rasterise SVG markup to a PNG blob, `scale` times its size for sharper text
+export const svgToPngBlob = ({ markup, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the PNG'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not load the SVG for rendering'));
+  };
+  image.src = url;
+});
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
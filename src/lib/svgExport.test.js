@@ -0,0 +1,25 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { serializeSvg } from './svgExport';
+
+describe('serializeSvg', () => {
+  it('makes a standalone copy without the omitted elements', () => {
+    document.body.innerHTML = `
+      <svg class="w-full" width="300" height="120">
+        <rect class="bar" width="10" height="10" style="fill: steelblue"></rect>
+        <g class="brush"><rect class="overlay"></rect><rect class="selection"></rect></g>
+      </svg>`;
+    const svg = document.querySelector('svg');
+    const { markup, width, height } = serializeSvg(svg, { omit: '.brush .overlay' });
+    
+    expect([width, height]).toEqual([300, 120]);
+    expect(markup).toContain('xmlns="http://www.w3.org/2000/svg"');
+    expect(markup).toContain('viewBox="0 0 300 120"');
+    expect(markup).toContain('<rect width="100%" height="100%" fill="#ffffff"');
+    expect(markup).toMatch(/class="bar"[^>]*style="[^"]*fill:\s*steelblue/);
+    expect(markup).toContain('class="selection"');
+    expect(markup).not.toContain('class="overlay"');
+    // The page itself is left alone
+    expect(svg.querySelector('.overlay')).not.toBeNull();
+  });
+});
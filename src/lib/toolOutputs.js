@@ -0,0 +1,33 @@
+// Outputs for the tool calls a run in requires_action is waiting on, as typed into the viewer.
+// Drafts are the output texts keyed by tool call ID.
+
+// The tool calls the run needs outputs for before it can continue
+export const getPendingToolCalls = (run) => {
+  const requiredAction = run && run.required_action;
+  if (!requiredAction || !requiredAction.submit_tool_outputs) return [];
+  return requiredAction.submit_tool_outputs.tool_calls || [];
+};
+
+// Why an output text cannot be submitted, or null when it can. The API takes any string.
+export const validateToolOutput = (text) => (!text || !text.trim() ? 'Enter an output' : null);
+
+// Outputs are usually JSON, so say when one is not; it is still sent as typed
+export const getToolOutputWarning = (text) => {
+  if (!text || !text.trim()) return null;
+  try {
+    JSON.parse(text);
+    return null;
+  } catch (e) {
+    return `Not valid JSON (${e.message}); it will be sent as plain text`;
+  }
+};
+
+// Validation errors of the drafts, keyed by tool call ID; empty when all can be submitted
+export const getToolOutputErrors = (toolCalls, drafts) => toolCalls.reduce((errors, toolCall) => {
+  const error = validateToolOutput(drafts[toolCall.id]);
+  return error ? { ...errors, [toolCall.id]: error } : errors;
+}, {});
+
+// The tool_outputs of a submit_tool_outputs request
+export const buildToolOutputs = (toolCalls, drafts) =>
+  toolCalls.map(toolCall => ({ tool_call_id: toolCall.id, output: drafts[toolCall.id] }));
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { buildToolOutputs, getPendingToolCalls, getToolOutputErrors, getToolOutputWarning, validateToolOutput } from './toolOutputs';
+
+const toolCalls = [
+  { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } },
+  { id: 'call_2', type: 'function', function: { name: 'get_time', arguments: '{"city":"Oslo"}' } }
+];
+const run = { status: 'requires_action', required_action: { type: 'submit_tool_outputs', submit_tool_outputs: { tool_calls: toolCalls } } };
+
+describe('getPendingToolCalls', () => {
+  it('lists the calls of a run waiting for outputs', () => {
+    expect(getPendingToolCalls(run)).toBe(toolCalls);
+    expect(getPendingToolCalls({ status: 'completed', required_action: null })).toEqual([]);
+    expect(getPendingToolCalls(null)).toEqual([]);
+  });
+});
+
+describe('validateToolOutput and getToolOutputWarning', () => {
+  it('accepts any text and warns about text that is not JSON', () => {
+    expect(validateToolOutput('{"temp_c": 4}')).toBeNull();
+    expect(validateToolOutput('raining')).toBeNull();
+    expect(validateToolOutput('  ')).toBe('Enter an output');
+    expect(validateToolOutput(undefined)).toBe('Enter an output');
+    
+    expect(getToolOutputWarning('"raining"')).toBeNull();
+    expect(getToolOutputWarning('  ')).toBeNull();
+    expect(getToolOutputWarning('{temp_c: 4}')).toMatch(/^Not valid JSON \(.+\); it will be sent as plain text$/);
+  });
+});
+
+describe('getToolOutputErrors and buildToolOutputs', () => {
+  it('validates every pending call and keeps the texts as typed', () => {
+    const drafts = { call_1: '{ "temp_c": 4 }', call_2: '' };
+
+    expect(Object.keys(getToolOutputErrors(toolCalls, drafts))).toEqual(['call_2']);
+    expect(getToolOutputErrors(toolCalls, { ...drafts, call_2: '14:05' })).toEqual({});
+    expect(buildToolOutputs(toolCalls, { ...drafts, call_2: '14:05' })).toEqual([
+      { tool_call_id: 'call_1', output: '{ "temp_c": 4 }' },
+      { tool_call_id: 'call_2', output: '14:05' }
+    ]);
+  });
+});
@@ -0,0 +1,312 @@
+// @vitest-environment jsdom
+import 'fake-indexeddb/auto';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { createMockApiServer } from '../../mock-api/server';
+import { clearRunHistory } from '../lib/runHistory';
+import OpenAIAssistantDebugger from '../artifacts/index';
+
+// jsdom does no layout, so SVG text has no length
+SVGElement.prototype.getComputedTextLength = () => 0;
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = createMockApiServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(async () => {
+  await clearRunHistory();
+  localStorage.clear();
+  sessionStorage.clear();
+  localStorage.setItem('openai_debug_api_settings', JSON.stringify({ baseUrl }));
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+});
+
+// Fill in the form and press Fetch Run Data, the way a user would
+const fetchRun = (threadId, runId, apiKey = 'sk-test') => {
+  render(
+    <MemoryRouter>
+      <OpenAIAssistantDebugger />
+    </MemoryRouter>
+  );
+  fireEvent.change(screen.getByPlaceholderText('thread_abc123'), { target: { value: threadId } });
+  fireEvent.change(screen.getByPlaceholderText('run_abc123'), { target: { value: runId } });
+  fireEvent.change(screen.getByPlaceholderText('sk-...'), { target: { value: apiKey } });
+  fireEvent.click(screen.getByRole('button', { name: 'Fetch Run Data' }));
+};
+
+describe('fetchRunData against the mock API', () => {
+  it('loads a run with every page of its steps and the transcript', async () => {
+    fetchRun('thread_mock', 'run_mock_completed');
+    
+    // The mock serves two steps per page, so the last step only arrives on the second page
+    expect(await screen.findByRole('heading', { name: '3. message_creation' })).toBeTruthy();
+    expect(screen.getByRole('heading', { name: '1. tool_calls' })).toBeTruthy();
+    expect(screen.getByText('Run Details')).toBeTruthy();
+    expect(screen.getByText((_, element) => element.tagName === 'P' && element.textContent === 'Steps: 3')).toBeTruthy();
+    expect(screen.getAllByText(/64\.4°F and cloudy in Paris/).length).toBeGreaterThan(0);
+    expect(screen.queryByText('Error:')).toBeNull();
+  });
+
+  it('shows why a failed run failed', async () => {
+    fetchRun('thread_mock', 'run_mock_failed');
+    
+    expect(await screen.findByRole('heading', { name: '1. tool_calls' })).toBeTruthy();
+    expect(screen.getAllByText(/Sorry, something went wrong\./).length).toBeGreaterThan(0);
+  });
+
+  it('reports a run that does not exist', async () => {
+    fetchRun('thread_mock', 'run_missing');
+    
+    expect(await screen.findByText(/Error fetching run details: Run API request failed with status 404/)).toBeTruthy();
+    expect(screen.getByText(/No run found with id 'run_missing'/)).toBeTruthy();
+    expect(screen.queryByText('Run Details')).toBeNull();
+  });
+
+  it('filters the steps and highlights the search text', async () => {
+    fetchRun('thread_mock', 'run_mock_completed');
+    await screen.findByRole('heading', { name: '3. message_creation' });
+    
+    fireEvent.change(screen.getByPlaceholderText('Search arguments, outputs, code and messages'), { target: { value: '18 * 9' } });
+    
+    expect(screen.getByText('1 of 3 steps match')).toBeTruthy();
+    expect(screen.getByRole('heading', { name: '2. tool_calls' })).toBeTruthy();
+    expect(screen.queryByRole('heading', { name: '1. tool_calls' })).toBeNull();
+    expect(screen.getByText('18 * 9').tagName).toBe('MARK');
+    
+    fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+    expect(screen.getByRole('heading', { name: '1. tool_calls' })).toBeTruthy();
+  });
+
+  it('reports which page of steps failed', async () => {
+    fetchRun('thread_mock', 'run_mock_steps_error');
+    
+    expect(await screen.findByText(/Error fetching run steps \(page 2\): Steps API request failed with status 500/)).toBeTruthy();
+  });
+});
+
+describe('model prices', () => {
+  it('keeps every row while a name is typed through another row\'s name', async () => {
+    fetchRun('thread_mock', 'run_mock_completed');
+    await screen.findByRole('heading', { name: '3. message_creation' });
+    fireEvent.click(screen.getByRole('button', { name: 'Edit price table' }));
+    
+    const gpt4o = screen.getByDisplayValue('gpt-4o');
+    fireEvent.change(gpt4o, { target: { value: 'gpt-4.1' } });
+    expect(screen.getAllByDisplayValue('gpt-4.1')).toHaveLength(2);
+    fireEvent.change(gpt4o, { target: { value: 'gpt-4o' } });
+    expect(screen.getByDisplayValue('2.5')).toBeTruthy();
+    
+    // The run's model gets a row once; after that new rows get a name of their own
+    fireEvent.click(screen.getByRole('button', { name: 'Add Model' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Add Model' }));
+    expect(screen.getByDisplayValue('gpt-4o-2024-08-06')).toBeTruthy();
+    expect(screen.getByDisplayValue('new-model')).toBeTruthy();
+  });
+});
+
+describe('comparing runs', () => {
+  it('drops the comparison when a different run loads', async () => {
+    fetchRun('thread_mock', 'run_mock_completed');
+    await screen.findByRole('heading', { name: '3. message_creation' });
+    fireEvent.click(screen.getByRole('button', { name: 'Compare with...' }));
+    fireEvent.change(screen.getAllByPlaceholderText('run_abc123')[1], { target: { value: 'run_mock_failed' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Compare' }));
+    expect(await screen.findByRole('button', { name: 'Exit Compare' })).toBeTruthy();
+    
+    fireEvent.change(screen.getByPlaceholderText('run_abc123'), { target: { value: 'run_mock_failed' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Fetch Run Data' }));
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Exit Compare' })).toBeNull());
+    expect(screen.getByRole('heading', { name: '1. tool_calls' })).toBeTruthy();
+  });
+  
+  it('cancels a comparison that is still loading', async () => {
+    fetchRun('thread_mock', 'run_mock_completed');
+    await screen.findByRole('heading', { name: '3. message_creation' });
+    fireEvent.click(screen.getByRole('button', { name: 'Compare with...' }));
+    fireEvent.change(screen.getAllByPlaceholderText('run_abc123')[1], { target: { value: 'run_mock_failed' } });
+    const compareButton = screen.getByRole('button', { name: 'Compare' });
+    fireEvent.click(compareButton);
+    fireEvent.click(within(compareButton.parentElement).getByRole('button', { name: 'Cancel' }));
+    
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Cancel' })).toBeNull());
+    expect(screen.queryByRole('button', { name: 'Exit Compare' })).toBeNull();
+    expect(screen.getByRole('button', { name: 'Compare with...' })).toBeTruthy();
+  });
+});
+
+describe('connection profiles', () => {
+  it('keeps a key per profile and shows which profile loaded the run', async () => {
+    fetchRun('thread_mock', 'run_mock_completed');
+    await screen.findByRole('heading', { name: '3. message_creation' });
+    expect(screen.getAllByText(/Default · production/).length).toBe(2);
+    
+    fireEvent.click(screen.getByRole('button', { name: 'Settings' }));
+    fireEvent.click(screen.getByRole('button', { name: 'New Profile' }));
+    expect(screen.getByPlaceholderText('sk-...').value).toBe('');
+    // New profiles start from the settings of the profile they were made from
+    expect(screen.getByDisplayValue(baseUrl)).toBeTruthy();
+    
+    fireEvent.change(screen.getByLabelText('Profile:'), { target: { value: 'default' } });
+    expect(screen.getByPlaceholderText('sk-...').value).toBe('sk-test');
+  });
+
+  it('wipes the keys, sensitive settings of every profile and the history on Clear All Saved Data', async () => {
+    localStorage.setItem('openai_debug_profiles', JSON.stringify([
+      { id: 'default', name: 'Default', environment: 'production', settings: { baseUrl, organization: 'org-secret', customHeaders: [{ name: 'X-Proxy-Token', value: 'proxy-secret' }] } },
+      { id: 'staging', name: 'Staging', environment: 'staging', settings: { baseUrl, project: 'proj_secret' } }
+    ]));
+    sessionStorage.setItem('openai_debug_api_key:staging', JSON.stringify({ key: 'sk-staging', expiresAt: null }));
+    fetchRun('thread_mock', 'run_mock_completed');
+    await screen.findByRole('button', { name: 'History (1)' });
+
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    fireEvent.click(screen.getByRole('button', { name: 'Clear All Saved Data' }));
+    await screen.findByRole('button', { name: 'History' });
+    const storedValues = (storage) => Array.from({ length: storage.length }, (_, i) => storage.getItem(storage.key(i))).join('\n');
+    expect(storedValues(localStorage)).not.toMatch(/secret|sk-/);
+    expect(storedValues(sessionStorage)).not.toMatch(/sk-/);
+    // The profiles themselves and their other settings are kept
+    expect(JSON.parse(localStorage.getItem('openai_debug_profiles')).map(profile => [profile.name, profile.settings.baseUrl]))
+      .toEqual([['Default', baseUrl], ['Staging', baseUrl]]);
+  });
+});
+
+describe('submitting tool outputs', () => {
+  it('validates the outputs, submits them and follows the run until it completes', async () => {
+    fetchRun('thread_requires_action', 'run_mock_requires_action');
+    
+    const output = await screen.findByLabelText('Output for call_weather_oslo');
+    const submit = screen.getByRole('button', { name: 'Submit Tool Outputs' });
+    expect(submit.disabled).toBe(true);
+    // Outputs need not be JSON, so text that is not only gets a warning
+    fireEvent.change(output, { target: { value: '{"temp_c": 4,' } });
+    expect(screen.getByText(/^Not valid JSON /)).toBeTruthy();
+    expect(submit.disabled).toBe(false);
+    
+    fireEvent.change(output, { target: { value: '{"temp_c": 4, "conditions": "rain"}' } });
+    expect(screen.queryByText(/^Not valid JSON /)).toBeNull();
+    fireEvent.click(submit);
+    
+    expect(await screen.findByText('LIVE')).toBeTruthy();
+    expect(screen.queryByRole('button', { name: 'Submit Tool Outputs' })).toBeNull();
+    // The mock finishes the run shortly after the outputs arrive; the first poll picks that up
+    expect(await screen.findByRole('heading', { name: '2. message_creation' }, { timeout: 4000 })).toBeTruthy();
+    expect(screen.getAllByText(/4°C and raining in Oslo/).length).toBeGreaterThan(0);
+    expect(screen.getByText(/"conditions": "rain"/)).toBeTruthy();
+    expect(screen.queryByText('LIVE')).toBeNull();
+  });
+});
+
+describe('run history', () => {
+  it('reopens a past run from its cached copy without the network', async () => {
+    fetchRun('thread_mock', 'run_mock_completed');
+    await screen.findByRole('heading', { name: '3. message_creation' });
+    fireEvent.click(await screen.findByRole('button', { name: 'History (1)' }));
+    fireEvent.click(screen.getByTitle('Star'));
+    expect(await screen.findByTitle('Unstar')).toBeTruthy();
+    cleanup();
+    
+    // No API key, so the run can only come from the history
+    localStorage.clear();
+    render(
+      <MemoryRouter>
+        <OpenAIAssistantDebugger />
+      </MemoryRouter>
+    );
+    fireEvent.click(await screen.findByRole('button', { name: 'History (1)' }));
+    fireEvent.click(screen.getByLabelText('Starred only'));
+    fireEvent.click(screen.getByText('run_mock_completed'));
+    
+    expect(await screen.findByRole('heading', { name: '3. message_creation' })).toBeTruthy();
+    expect(screen.getByText(/^Cached copy from/)).toBeTruthy();
+  });
+});
+
+describe('launchRun against the mock API', () => {
+  it('streams a new run and times it from the events', async () => {
+    render(
+      <MemoryRouter>
+        <OpenAIAssistantDebugger />
+      </MemoryRouter>
+    );
+    fireEvent.change(screen.getByPlaceholderText('thread_abc123'), { target: { value: 'thread_stream' } });
+    fireEvent.change(screen.getByPlaceholderText('asst_abc123'), { target: { value: 'asst_stream' } });
+    fireEvent.change(screen.getByPlaceholderText('sk-...'), { target: { value: 'sk-test' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Launch Run' }));
+    fireEvent.change(screen.getByLabelText('User message (optional, added to the thread first)'), { target: { value: 'What is 2 ** 10?' } });
+    fireEvent.change(screen.getByLabelText('Model override'), { target: { value: 'gpt-4.1-mini' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Start Streaming Run' }));
+    
+    expect(await screen.findByRole('heading', { name: '2. message_creation' })).toBeTruthy();
+    expect(await screen.findByText(/^Streamed · first token after \d+ms$/)).toBeTruthy();
+    expect(await screen.findByText('Stream Events (20)')).toBeTruthy();
+    expect(screen.getByPlaceholderText('run_abc123').value).toBe('run_stream_1');
+    expect(screen.getAllByText(/First Delta:/)).toHaveLength(2);
+    expect(screen.getAllByText('2 to the power of 10 is 1024.').length).toBeGreaterThan(0);
+    expect(screen.getByText((_, element) => element.tagName === 'P' && element.textContent === 'Model: gpt-4.1-mini')).toBeTruthy();
+    expect(screen.queryByText('Error:')).toBeNull();
+  });
+
+  it('streams the rest of a streamed run after its tool outputs are submitted', async () => {
+    render(
+      <MemoryRouter>
+        <OpenAIAssistantDebugger />
+      </MemoryRouter>
+    );
+    fireEvent.change(screen.getByPlaceholderText('thread_abc123'), { target: { value: 'thread_stream' } });
+    fireEvent.change(screen.getByPlaceholderText('asst_abc123'), { target: { value: 'asst_stream_weather' } });
+    fireEvent.change(screen.getByPlaceholderText('sk-...'), { target: { value: 'sk-test' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Launch Run' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Start Streaming Run' }));
+    
+    fireEvent.change(await screen.findByLabelText('Output for call_stream_weather'), { target: { value: '4°C, rain' } });
+    const submit = screen.getByRole('button', { name: 'Submit Tool Outputs' });
+    // The launch stream closes just after the run asks for outputs
+    await waitFor(() => expect(submit.disabled).toBe(false));
+    fireEvent.click(submit);
+    
+    expect(await screen.findByRole('heading', { name: '2. message_creation' })).toBeTruthy();
+    // The events after the submit are added to the log of the launch, which keeps its timings
+    expect(await screen.findByText('Stream Events (19)')).toBeTruthy();
+    expect(screen.getByText(/^Streamed · first token after \d+ms$/)).toBeTruthy();
+    expect(screen.getAllByText(/First Delta:/)).toHaveLength(2);
+    expect(screen.getAllByText("It's 4°C and raining in Oslo.").length).toBeGreaterThan(0);
+    expect(screen.getByText(/4°C, rain/)).toBeTruthy();
+    expect(screen.queryByText('Error:')).toBeNull();
+  });
+});
+
+describe('fetchResponseData against the mock API', () => {
+  it('loads a response with the responses before it in its chain', async () => {
+    render(
+      <MemoryRouter>
+        <OpenAIAssistantDebugger />
+      </MemoryRouter>
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Response' }));
+    fireEvent.change(screen.getByPlaceholderText('resp_abc123'), { target: { value: 'resp_mock_2' } });
+    fireEvent.change(screen.getByPlaceholderText('sk-...'), { target: { value: 'sk-test' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Fetch Response' }));
+    
+    expect(await screen.findByRole('heading', { name: '4. message_creation' })).toBeTruthy();
+    expect(screen.getByRole('heading', { name: '1. reasoning' })).toBeTruthy();
+    expect(screen.getByText((_, element) => element.tagName === 'P' && element.textContent === 'Turns: 2')).toBeTruthy();
+    expect(screen.getByText('Lisbon weather warnings today')).toBeTruthy();
+    // The function output comes from the second response's input items
+    expect(screen.getByText(/"conditions": "sunny"/)).toBeTruthy();
+    // Let the history save finish before the test environment goes away
+    expect(await screen.findByRole('button', { name: 'History (1)' })).toBeTruthy();
+  });
+});